@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const { bookTherapyAppointment, checkAppointmentSlot } = require('./main.js');
+const { processQueue, getQueueStatus, requeueAppointment } = require('./services/queueService');
+const { shutdownBrowserPool } = require('./services/browserPool');
+const { connectDatabase, disconnectDatabase } = require('./services/database');
+const { startNotifications, drainNotifications } = require('./services/notificationService');
+const { startEventStreams, drainEventRelay } = require('./services/eventStreamService');
+const { redactAppointment } = require('./services/redactionService');
+const config = require('./config');
+
+/**
+ * Command-line interface for booking, checking and running the queue
+ *
+ * book and check talk to the portal only; the queue and requeue commands
+ * need the database. Run `scrapper --help` for usage.
+ */
+const USAGE = `Usage:
+  scrapper book <href> --patient <file.json> [--dry-run] [--headful] [--profile <name>] [--json]
+  scrapper check <href> [--headful] [--profile <name>] [--json]
+  scrapper queue run [--dry-run] [--headful] [--json]
+  scrapper queue status [--json]
+  scrapper requeue <id> [--ignore-duplicates] [--json]
+
+Options:
+  --patient <file>       JSON file with the patient fields to fill in
+  --dry-run              Fill the form but don't submit it
+  --headful              Show the browser window
+  --profile <name>       Portal profile to use instead of the one matching the href
+  --ignore-duplicates    Requeue even if the record looks like a duplicate patient
+  --json                 Print the full result as JSON
+  -h, --help             Show this help
+
+Exit codes:
+  0  done: booked, dry run finished, slot open, queue ran, record requeued
+  1  unexpected error, e.g. the database is unreachable
+  2  invalid command line
+  3  slot is taken or expired
+  4  booking failed, the dry run found problems, or the page wasn't recognised
+  5  record not found or not in a requeueable status`;
+
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    unavailable: 3,
+    failed: 4,
+    notFound: 5
+};
+
+const OPTIONS = {
+    patient: { type: 'string', short: 'p' },
+    'dry-run': { type: 'boolean' },
+    headful: { type: 'boolean' },
+    profile: { type: 'string' },
+    'ignore-duplicates': { type: 'boolean' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Thrown for command lines that can't be run; printed with the usage text
+ */
+class UsageError extends Error {}
+
+/**
+ * Exit code for a booking or check result
+ * @param {Object} result - Result of bookTherapyAppointment or checkAppointmentSlot
+ * @returns {number}
+ */
+function exitCodeForResult(result) {
+    switch (result.status) {
+        case 'success':
+        case 'available':
+            return EXIT_CODES.ok;
+        case 'dry_run':
+            return result.ok ? EXIT_CODES.ok : EXIT_CODES.failed;
+        case 'booked':
+        case 'expired':
+            return EXIT_CODES.unavailable;
+        default:
+            return EXIT_CODES.failed;
+    }
+}
+
+/**
+ * Split a command line into a command, its arguments and options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, args, options }
+ * @throws {UsageError}
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const [command, ...args] = parsed.positionals;
+    const options = parsed.values;
+    if (options.help) return { command: 'help', args: [], options };
+
+    const expect = (count, what) => {
+        if (args.length !== count) throw new UsageError(`${command} expects ${what}`);
+    };
+
+    switch (command) {
+        case 'book':
+            expect(1, 'a booking URL');
+            if (!options.patient) throw new UsageError('book needs --patient <file.json>');
+            break;
+        case 'check':
+            expect(1, 'a booking URL');
+            break;
+        case 'queue':
+            expect(1, '"run" or "status"');
+            if (!['run', 'status'].includes(args[0])) throw new UsageError(`Unknown queue command '${args[0]}'`);
+            break;
+        case 'requeue':
+            expect(1, 'an appointment id');
+            if (!mongoose.isValidObjectId(args[0])) throw new UsageError(`'${args[0]}' is not an appointment id`);
+            break;
+        case undefined:
+            throw new UsageError('No command given');
+        default:
+            throw new UsageError(`Unknown command '${command}'`);
+    }
+
+    return { command, args, options };
+}
+
+/**
+ * Read the patient file given to book
+ * @param {string} file - Path to a JSON file
+ * @returns {Object} Patient fields
+ * @throws {UsageError}
+ */
+function readPatientFile(file) {
+    let patient;
+    try {
+        patient = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read patient file ${file}: ${error.message}`);
+    }
+    if (!patient || typeof patient !== 'object' || Array.isArray(patient)) {
+        throw new UsageError(`Patient file ${file} must contain a JSON object`);
+    }
+    return patient;
+}
+
+/**
+ * Print a booking or check result
+ */
+function printResult(result, json) {
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+
+    console.log(`${result.status}: ${result.error || result.message || ''}`.trim());
+    for (const entry of result.processingLog || []) {
+        console.log(`  [${entry.status}] ${entry.message}`);
+    }
+}
+
+async function runBook([href], options) {
+    const patient = readPatientFile(options.patient);
+
+    const bookingOptions = { profile: options.profile };
+    if (options['dry-run']) bookingOptions.dryRun = true;
+
+    const result = await bookTherapyAppointment(href, patient, bookingOptions);
+    printResult(result, options.json);
+    return exitCodeForResult(result);
+}
+
+async function runCheck([href], options) {
+    const result = await checkAppointmentSlot(href, { profile: options.profile });
+    printResult(result, options.json);
+    return exitCodeForResult(result);
+}
+
+async function runQueue([action], options) {
+    if (action === 'status') {
+        const status = await getQueueStatus();
+        if (options.json) {
+            console.log(JSON.stringify(status, null, 2));
+        } else {
+            const { pending, waitingRetry, inFlight, failed } = status.counts;
+            console.log(`pending: ${pending}, waiting for retry: ${waitingRetry}, in flight: ${inFlight}, failed: ${failed}`);
+        }
+        return EXIT_CODES.ok;
+    }
+
+    const runOptions = { trigger: 'cli' };
+    if (options['dry-run']) runOptions.dryRun = true;
+
+    const results = await processQueue(runOptions);
+    const { lastRun } = await getQueueStatus();
+
+    if (options.json) {
+        console.log(JSON.stringify(lastRun, null, 2));
+    } else {
+        for (const { id, status } of results) console.log(`${id}: ${status}`);
+        console.log(`Processed ${results.length} appointments${lastRun.error ? `; run failed: ${lastRun.error}` : ''}`);
+    }
+    return lastRun.error ? EXIT_CODES.error : EXIT_CODES.ok;
+}
+
+async function runRequeue([id], options) {
+    const appointment = await requeueAppointment(id, { ignoreDuplicates: !!options['ignore-duplicates'] });
+    if (!appointment) {
+        console.error(`Appointment ${id} not found or not in a requeueable status`);
+        return EXIT_CODES.notFound;
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(redactAppointment(appointment, { privileged: false }), null, 2));
+    } else {
+        console.log(`Requeued ${id}`);
+    }
+    return EXIT_CODES.ok;
+}
+
+const COMMANDS = {
+    book: { run: runBook, database: false },
+    check: { run: runCheck, database: false },
+    queue: { run: runQueue, database: true },
+    requeue: { run: runRequeue, database: true }
+};
+
+/**
+ * Run a command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let commandLine;
+    try {
+        commandLine = parseCommandLine(argv);
+    } catch (error) {
+        console.error(`${error.message}\nRun scrapper --help for usage.`);
+        return EXIT_CODES.usage;
+    }
+
+    const { command, args, options } = commandLine;
+    if (command === 'help') {
+        console.log(USAGE);
+        return EXIT_CODES.ok;
+    }
+
+    if (options.headful) config.browserPool.headless = false;
+
+    const { database } = COMMANDS[command];
+
+    try {
+        if (database) {
+            await connectDatabase();
+            // Status changes made from the CLI notify like the server's do, and
+            // reach the servers' event streams through the relay
+            startNotifications();
+            startEventStreams();
+        }
+        return await COMMANDS[command].run(args, options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\nRun scrapper --help for usage.`);
+            return EXIT_CODES.usage;
+        }
+        console.error(`${command} failed:`, error.message);
+        return EXIT_CODES.error;
+    } finally {
+        await shutdownBrowserPool();
+        if (database) {
+            await drainNotifications();
+            await drainEventRelay();
+            await disconnectDatabase().catch(() => {});
+        }
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    EXIT_CODES,
+    exitCodeForResult,
+    parseCommandLine,
+    main
+};
@@ -0,0 +1,209 @@
+/**
+ * Runtime configuration
+ * Every value can be overridden through the environment.
+ */
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const toList = (value, fallback) => (value !== undefined ? value : fallback)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const toBool = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+module.exports = {
+    port: toInt(process.env.PORT, 3000),
+
+    mongo: {
+        // Required by the server and the database commands of the CLI; there is no default
+        uri: process.env.MONGODB_URI || ''
+    },
+
+    booking: {
+        // Fill forms but never submit; records keep their status
+        dryRun: toBool(process.env.BOOKING_DRY_RUN, false)
+    },
+
+    browserPool: {
+        // Warm browsers kept running between bookings
+        size: toInt(process.env.BROWSER_POOL_SIZE, 2),
+        // Bookings that may share one browser at the same time (each in its own context)
+        contextsPerBrowser: toInt(process.env.BROWSER_CONTEXTS_PER_BROWSER, 1),
+        // Bookings after which a browser is closed and replaced
+        maxUsesPerBrowser: toInt(process.env.BROWSER_MAX_USES, 25),
+        headless: toBool(process.env.BROWSER_HEADLESS, true)
+    },
+
+    artifacts: {
+        // Screenshots, HTML and page events of booking attempts, per appointment
+        dir: process.env.ARTIFACTS_DIR || 'output/artifacts',
+        // Also keep artifacts for successful attempts, not just failures
+        captureOnSuccess: toBool(process.env.ARTIFACTS_CAPTURE_ON_SUCCESS, false),
+        // Older attempts beyond this are deleted
+        maxAttemptsPerAppointment: toInt(process.env.ARTIFACTS_MAX_ATTEMPTS, 5)
+    },
+
+    documents: {
+        // Where uploaded intake documents are kept: 'local' (disk) or 'gridfs' (MongoDB)
+        storage: process.env.DOCUMENT_STORAGE || 'local',
+        dir: process.env.DOCUMENT_DIR || 'output/documents',
+        gridFsBucket: process.env.DOCUMENT_GRIDFS_BUCKET || 'documents',
+        maxFileBytes: toInt(process.env.DOCUMENT_MAX_BYTES, 10 * 1024 * 1024),
+        maxPerAppointment: toInt(process.env.DOCUMENT_MAX_PER_APPOINTMENT, 10),
+        allowedTypes: toList(process.env.DOCUMENT_TYPES, 'application/pdf,image/jpeg,image/png')
+    },
+
+    crawler: {
+        // Portal the availability crawler reads; the crawler only runs when this
+        // and CRAWLER_CLINICIAN_IDS are set
+        baseUrl: process.env.CRAWLER_BASE_URL || '',
+        clinicianIds: toList(process.env.CRAWLER_CLINICIAN_IDS, ''),
+        intervalMs: toInt(process.env.CRAWLER_INTERVAL_MS, 15 * 60 * 1000),
+        // Pause between availability pages of one clinician
+        pageDelayMs: toInt(process.env.CRAWLER_PAGE_DELAY_MS, 2000)
+    },
+
+    fallback: {
+        // Times one request may be switched to another slot before it is left as taken/expired
+        maxSubstitutions: toInt(process.env.FALLBACK_MAX_SUBSTITUTIONS, 5)
+    },
+
+    duplicates: {
+        // What to do when a request looks like a patient who already has one:
+        // allow, warn, block or keep_earliest (see services/duplicateService.js)
+        policy: process.env.DUPLICATE_POLICY || 'warn'
+    },
+
+    expiry: {
+        // appointmentDate/appointmentTime are wall-clock times in this zone
+        timeZone: process.env.PRACTICE_TIME_ZONE || 'America/New_York',
+        // Slots starting within this window are expired without a booking attempt
+        leadTimeMs: toInt(process.env.EXPIRY_LEAD_TIME_MS, 60 * 60 * 1000),
+        sweeperEnabled: toBool(process.env.EXPIRY_SWEEPER_ENABLED, true),
+        sweepIntervalMs: toInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 60 * 1000)
+    },
+
+    webhooks: {
+        // Receivers of status change notifications (comma separated)
+        urls: toList(process.env.WEBHOOK_URLS, ''),
+        // Shared secret for the X-Webhook-Signature HMAC
+        secret: process.env.WEBHOOK_SECRET || '',
+        // New statuses that trigger a webhook
+        events: toList(process.env.WEBHOOK_EVENTS, 'booked,expired,failed,cancelled'),
+        maxAttempts: toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 5),
+        retryDelayMs: toInt(process.env.WEBHOOK_RETRY_DELAY_MS, 5 * 1000),
+        timeoutMs: toInt(process.env.WEBHOOK_TIMEOUT_MS, 10 * 1000)
+    },
+
+    email: {
+        // Email notifications are off unless SMTP_HOST is set
+        smtp: {
+            host: process.env.SMTP_HOST || '',
+            port: toInt(process.env.SMTP_PORT, 587),
+            secure: toBool(process.env.SMTP_SECURE, false),
+            user: process.env.SMTP_USER || '',
+            pass: process.env.SMTP_PASS || ''
+        },
+        from: process.env.EMAIL_FROM || 'no-reply@localhost',
+        // Practice inbox that hears about every status change
+        practiceAddress: process.env.PRACTICE_EMAIL || '',
+        notifyPatient: toBool(process.env.EMAIL_NOTIFY_PATIENT, true),
+        events: toList(process.env.EMAIL_EVENTS, 'booked,expired,failed,cancelled')
+    },
+
+    encryption: {
+        // Keys for patient fields at rest, "<keyId>:<base64 32-byte key>" (comma separated).
+        // Keep retired keys listed until every record has been re-encrypted.
+        keys: toList(process.env.PHI_ENCRYPTION_KEYS, ''),
+        // Key used for new values; defaults to the first key listed
+        activeKeyId: process.env.PHI_ENCRYPTION_ACTIVE_KEY || ''
+    },
+
+    auth: {
+        // API keys as "<name>:<role>:<key>" (comma separated); roles are intake, staff and admin
+        apiKeys: toList(process.env.API_KEYS, ''),
+        // HS256 secret for bearer JWTs; JWT auth is off when empty
+        jwtSecret: process.env.JWT_SECRET || '',
+        jwtIssuer: process.env.JWT_ISSUER || '',
+        jwtAudience: process.env.JWT_AUDIENCE || '',
+        // Claim holding the caller's role
+        jwtRoleClaim: process.env.JWT_ROLE_CLAIM || 'role'
+    },
+
+    cors: {
+        // Browser origins allowed to call the API (comma separated); '*' allows any
+        origins: toList(process.env.CORS_ORIGINS, '')
+    },
+
+    metrics: {
+        // Bearer token GET /metrics requires; the endpoint is open when empty
+        token: process.env.METRICS_TOKEN || ''
+    },
+
+    events: {
+        // Comment line written to idle event streams so proxies don't time them out
+        heartbeatMs: toInt(process.env.EVENTS_HEARTBEAT_MS, 15 * 1000),
+        // Reconnect delay suggested to EventSource clients
+        retryMs: toInt(process.env.EVENTS_RETRY_MS, 5000),
+        // How often an instance with open streams reads events published by other instances
+        relayPollMs: toInt(process.env.EVENTS_RELAY_POLL_MS, 2000),
+        // How long relayed events are kept in MongoDB
+        relayRetentionMs: toInt(process.env.EVENTS_RELAY_RETENTION_MS, 60 * 60 * 1000)
+    },
+
+    health: {
+        // /readyz reports the queue as wedged when a run hasn't finished an appointment for this long
+        queueStallMs: toInt(process.env.HEALTH_QUEUE_STALL_MS, 15 * 60 * 1000),
+        // How long /readyz waits for Mongo to answer a ping
+        pingTimeoutMs: toInt(process.env.HEALTH_PING_TIMEOUT_MS, 2000),
+        // Minimum time between browser launches started by /readyz when the pool is empty
+        browserRetryMs: toInt(process.env.HEALTH_BROWSER_RETRY_MS, 60 * 1000)
+    },
+
+    shutdown: {
+        // How long SIGTERM/SIGINT wait for in-flight bookings before closing the browsers
+        timeoutMs: toInt(process.env.SHUTDOWN_TIMEOUT_MS, 60 * 1000)
+    },
+
+    audit: {
+        // Audit entries older than this are removed by a TTL index
+        retentionDays: toInt(process.env.AUDIT_RETENTION_DAYS, 365)
+    },
+
+    redaction: {
+        // Roles that see unmasked patient data in API responses
+        privilegedRoles: toList(process.env.PHI_PRIVILEGED_ROLES, 'admin')
+    },
+
+    portal: {
+        // Profile used when no profile's hosts match the booking URL (name or path)
+        profile: process.env.PORTAL_PROFILE || 'therapyportal',
+        // Profiles considered when matching a booking URL's host
+        available: toList(process.env.PORTAL_PROFILES, 'therapyportal'),
+        // Text file replacing the profile's notes template (one template line per line)
+        notesTemplate: process.env.INTAKE_NOTES_TEMPLATE || ''
+    },
+
+    queue: {
+        // Run the queue on a timer; disable to only process through POST /api/queue/run
+        schedulerEnabled: toBool(process.env.QUEUE_SCHEDULER_ENABLED, true),
+        pollIntervalMs: toInt(process.env.QUEUE_POLL_INTERVAL_MS, 30 * 1000),
+        // Number of appointments booked in parallel by this instance
+        concurrency: toInt(process.env.QUEUE_CONCURRENCY, 1),
+        // How long a claimed appointment stays locked to a worker without a heartbeat
+        leaseMs: toInt(process.env.QUEUE_LEASE_MS, 5 * 60 * 1000),
+        // How often a worker renews the lease while a booking is running
+        heartbeatMs: toInt(process.env.QUEUE_HEARTBEAT_MS, 60 * 1000),
+        // Attempts before an appointment is moved to 'failed'
+        maxAttempts: toInt(process.env.QUEUE_MAX_ATTEMPTS, 5),
+        // Exponential backoff between attempts: base * 2^(attempt - 1), capped at max
+        retryBaseDelayMs: toInt(process.env.QUEUE_RETRY_BASE_DELAY_MS, 60 * 1000),
+        retryMaxDelayMs: toInt(process.env.QUEUE_RETRY_MAX_DELAY_MS, 60 * 60 * 1000)
+    }
+};
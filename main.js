@@ -1,4 +1,106 @@
-const { connect } = require('puppeteer-real-browser');
+const { loadPortalProfile, resolvePortalProfile } = require('./portals');
+const { PAGE_STATES, classifyPage } = require('./services/pageClassifier');
+const { createPageEventRecorder, captureArtifacts } = require('./services/artifactService');
+const { acquirePage } = require('./services/browserPool');
+const { redactText, redactError } = require('./services/redactionService');
+const { renderIntakeNotes } = require('./services/intakeNotesService');
+const metrics = require('./services/metricsService');
+const config = require('./config');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Click the first selector that exists on the page
+ * @param {Object} page - Puppeteer page
+ * @param {Array<string>} selectors - Candidate selectors, in order of preference
+ * @param {boolean} dispatchEvent - Dispatch a MouseEvent instead of calling click()
+ * @returns {Promise<string|null>} The selector that was clicked, or null
+ */
+async function clickFirst(page, selectors, dispatchEvent = false) {
+    return page.evaluate((selectorList, useEvent) => {
+        for (const selector of selectorList) {
+            const button = document.querySelector(selector);
+            if (!button) continue;
+            if (useEvent) {
+                const event = new MouseEvent('click', {
+                    view: window,
+                    bubbles: true,
+                    cancelable: true
+                });
+                button.dispatchEvent(event);
+            } else {
+                button.click();
+            }
+            return selector;
+        }
+        return null;
+    }, selectors, dispatchEvent);
+}
+
+/**
+ * Build a booking result for a page state that ends the attempt
+ * @param {Object} pageState - Result of classifyPage
+ * @returns {Object|null} Partial result, or null if the state doesn't end the attempt
+ */
+function resultForPageState(pageState) {
+    const { state, evidence } = pageState;
+
+    switch (state) {
+        case PAGE_STATES.CONFIRMED:
+            return { status: 'success', message: 'Appointment booked successfully', confirmation: evidence };
+        case PAGE_STATES.ALREADY_TAKEN:
+            return { status: 'booked', message: evidence };
+        case PAGE_STATES.EXPIRED:
+            return { status: 'expired', message: evidence };
+        case PAGE_STATES.BOT_CHALLENGE:
+            return { status: 'error', message: 'Blocked by bot challenge', error: evidence || 'Bot challenge shown' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Read every mapped field back from the DOM and compare it with what was filled
+ * @param {Object} page - Puppeteer page
+ * @param {Object} profile - Portal profile
+ * @param {Object} patient - Patient information that was filled
+ * @param {Array<string>} notesFields - Patient fields written into the notes box instead of their own input
+ * @returns {Promise<Object>} Dry-run report
+ */
+async function buildDryRunReport(page, profile, patient, notesFields = []) {
+    const snapshot = await page.evaluate((fieldSelectors, submitSelectors) => {
+        const values = {};
+        for (const [field, selector] of Object.entries(fieldSelectors)) {
+            const element = document.querySelector(selector);
+            values[field] = element ? { found: true, value: element.value } : { found: false, value: null };
+        }
+        const submitSelector = submitSelectors.find(selector => document.querySelector(selector)) || null;
+        return { values, submitSelector };
+    }, profile.fields, profile.submit.selectors);
+
+    const fields = Object.entries(profile.fields).map(([field, selector]) => {
+        const provided = patient[field] !== undefined && patient[field] !== null;
+        const expected = provided ? String(patient[field]) : null;
+        const { found, value } = snapshot.values[field];
+        return {
+            field,
+            selector,
+            expected,
+            actual: value,
+            found,
+            matches: !provided || (found && value === expected)
+        };
+    });
+
+    return {
+        fields,
+        missingSelectors: fields.filter(entry => !entry.found).map(entry => entry.selector),
+        mismatchedFields: fields.filter(entry => !entry.matches).map(entry => entry.field),
+        // Patient fields this portal profile has nowhere to put
+        unmappedFields: Object.keys(patient).filter(field => !profile.fields[field] && !notesFields.includes(field)),
+        submitSelector: snapshot.submitSelector
+    };
+}
 
 /**
  * Books an appointment on the therapy portal
@@ -9,9 +111,18 @@ const { connect } = require('puppeteer-real-browser');
  * @param {string} patientInfo.email - Patient's email
  * @param {string} patientInfo.phone - Patient's phone number
  * @param {string} patientInfo.dateOfBirth - Patient's date of birth (MM/DD/YYYY)
- * @returns {Promise<Object>} Result of the booking attempt
+ * @param {string} patientInfo.comments - Patient's own comments; with a profile notes template the remaining intake fields are written in after them
+ * @param {Object} options - Booking options
+ * @param {string|Object} options.profile - Portal profile name, path or object; picked from the URL's host when omitted
+ * @param {string} options.appointmentId - When set, failure artifacts are saved under this id
+ * @param {number} options.attempt - Attempt number used to label saved artifacts
+ * @param {boolean} options.dryRun - Fill the form and report what the portal received, but never submit (defaults to config.booking.dryRun)
+ * @param {Function} options.onProgress - Called with (step, message) on reaching 'navigating', 'form_filled' and 'submitting'
+ * @param {number} options.delayMultiplier - Scales the fixed waits between steps; tests pass less than 1 for local fixtures
+ * @param {AbortSignal} options.signal - Aborted when the caller may no longer book (e.g. its queue lease was lost); checked before starting and before submitting
+ * @returns {Promise<Object>} Result of the booking attempt, including the final pageState and a processingLog of the steps taken
  */
-async function bookTherapyAppointment(url, patientInfo) {
+async function bookTherapyAppointment(url, patientInfo, options = {}) {
     // Default values for patient info
     const defaultPatientInfo = {
         firstName: '',
@@ -25,146 +136,270 @@ async function bookTherapyAppointment(url, patientInfo) {
     // Merge provided info with defaults
     const patient = { ...defaultPatientInfo, ...patientInfo };
 
-    // Connect to the browser
-    const { page, browser } = await connect({
-        headless: true,
-        turnstile: true,
-    });
+    const profile = options.profile
+        ? loadPortalProfile(options.profile)
+        : resolvePortalProfile(url);
+
+    const dryRun = options.dryRun !== undefined ? !!options.dryRun : config.booking.dryRun;
+    const { delayMultiplier = 1 } = options;
+    const delay = ms => sleep(ms * delayMultiplier);
+
+    // Step-by-step audit trail, returned with the result for processingLog
+    const processingLog = [];
+    // The log is stored on the record, so patient details in page text and errors are scrubbed
+    const logStep = (status, message) => {
+        processingLog.push({ status, timestamp: new Date(), message: redactText(message) });
+    };
+    const logPageState = pageState => {
+        logStep('page_state', pageState.evidence ? `${pageState.state}: ${pageState.evidence}` : pageState.state);
+    };
+    // Live progress for whoever is watching; a failing listener must not stop the booking
+    const reportProgress = (step, message) => {
+        if (!options.onProgress) return;
+        try {
+            options.onProgress(step, message);
+        } catch (e) {
+            console.error('Progress listener failed:', e.message);
+        }
+    };
+
+    // Stop rather than submit once the caller may no longer book
+    const isAborted = () => !!options.signal && options.signal.aborted;
+    const aborted = () => {
+        logStep('aborted', 'Booking stopped before submitting');
+        return { status: 'error', message: 'Booking aborted', error: 'Booking aborted before submitting' };
+    };
+    if (isAborted()) return { ...aborted(), processingLog };
+
+    // Measured from here so time spent waiting for a pooled browser counts
+    const endBookingTimer = metrics.bookingSeconds.startTimer();
+
+    // Borrow an isolated page from the shared browser pool
+    const { page, browser, release } = await acquirePage();
+
+    const pageEvents = createPageEventRecorder(page);
+
+    // Save artifacts if this outcome calls for it, then hand the page back to the pool
+    const finish = async result => {
+        const isFailure = !['success', 'dry_run'].includes(result.status);
+        const shouldCapture = options.appointmentId && (isFailure || config.artifacts.captureOnSuccess);
+
+        if (shouldCapture) {
+            try {
+                result.artifacts = await captureArtifacts(page, {
+                    appointmentId: options.appointmentId,
+                    attempt: options.attempt,
+                    status: result.status,
+                    events: pageEvents.entries
+                });
+                logStep('artifacts', `Saved ${result.artifacts.files.join(', ')} as ${result.artifacts.attempt}`);
+            } catch (e) {
+                logStep('artifacts', `Could not save artifacts: ${e.message}`);
+            }
+        }
+
+        // A browser that died mid-booking is replaced rather than reused
+        await release({ crashed: !browser.connected });
+
+        metrics.bookingAttempts.inc({ outcome: result.status });
+        endBookingTimer({ outcome: result.status });
+        return { ...result, processingLog };
+    };
 
     try {
+        reportProgress('navigating', 'Opening the booking page');
+        const endPageLoadTimer = metrics.pageLoadSeconds.startTimer();
         await page.goto(url, {
             waitUntil: 'networkidle0',
             timeout: 60000
         });
+        endPageLoadTimer();
+        logStep('navigated', `Loaded ${page.url()} using portal profile '${profile.name}'`);
 
-        const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
         await delay(3000);
 
-        // Check if the appointment is already booked
-        const alreadyBookedContent = await page.evaluate(() => {
-            const banner = document.querySelector('.standard-banner-message span');
-            return banner ? banner.innerText : null;
-        });
+        // Check whether the slot is already taken, expired or behind a challenge
+        const initialState = await classifyPage(page, profile);
+        logPageState(initialState);
 
-        if (alreadyBookedContent && alreadyBookedContent.includes("Please contact the office")) {
-            await browser.close();
-            return { status: 'booked', message: alreadyBookedContent };
+        const earlyResult = resultForPageState(initialState);
+        if (earlyResult) {
+            logStep('outcome', `Stopped before filling the form: ${initialState.state}`);
+            return finish({ ...earlyResult, pageState: initialState });
         }
 
         // Try to click the guest button
         try {
-            await page.evaluate(() => {
-                const button = document.querySelector('psy-button#ContinueAsGuestButton');
-                if (button) button.click();
-            });
-            await delay(2000);
+            const guestSelector = await clickFirst(page, profile.guestEntry.selectors);
+            logStep('guest_button', guestSelector ? `Clicked continue as guest (${guestSelector})` : 'Guest button not present');
+            await delay(profile.guestEntry.waitAfterMs || 2000);
         } catch (e) {
-            console.log('Guest button not found, proceeding with form...', e.message);
+            logStep('guest_button', `Guest button click failed: ${e.message}`);
+            console.log('Guest button not found, proceeding with form...', redactText(e.message));
+        }
+
+        const endFormFillTimer = metrics.formFillSeconds.startTimer();
+
+        // Write the rest of the intake into the portal's free-text box
+        let notesFields = [];
+        if (profile.notes) {
+            const notesSelector = profile.fields[profile.notes.field];
+            const pageLimit = await page.evaluate(selector => {
+                const element = document.querySelector(selector);
+                return element && element.maxLength > 0 ? element.maxLength : null;
+            }, notesSelector).catch(() => null);
+
+            const notes = renderIntakeNotes(patient, profile.notes, { maxLength: pageLimit });
+            patient[profile.notes.field] = notes.text;
+            notesFields = notes.fields;
+            logStep('intake_notes', `Wrote ${notes.fields.length} intake fields into ${profile.notes.field} (${notes.text.length} characters${notes.truncated ? ', truncated to fit' : ''})`);
         }
 
         // Fill form fields
-        const formFields = {
-            '#ctl00_ctl00_BodyContent_BodyContent_TextBoxFirstName': patient.firstName,
-            '#ctl00_ctl00_BodyContent_BodyContent_TextBoxLastName': patient.lastName,
-            '#ctl00_ctl00_BodyContent_BodyContent_TextBoxEmailAddress': patient.email,
-            '#ctl00_ctl00_BodyContent_BodyContent_TextBoxMobilePhone': patient.phone,
-            '#ctl00_ctl00_BodyContent_BodyContent_TextBoxDOB': patient.dateOfBirth,
-            '#ctl00_ctl00_BodyContent_BodyContent_TextBoxComments': patient.comments // Add comments field
-        };
+        const formFields = Object.entries(profile.fields)
+            .filter(([field]) => patient[field] !== undefined && patient[field] !== null)
+            .map(([field, selector]) => [selector, String(patient[field])]);
 
-        for (const [field, value] of Object.entries(formFields)) {
+        const missingFields = [];
+        for (const [field, value] of formFields) {
             try {
-                await page.evaluate((selector, text) => {
+                const filled = await page.evaluate((selector, text) => {
                     const element = document.querySelector(selector);
                     if (element) {
                         element.value = text;
                         element.dispatchEvent(new Event('input', { bubbles: true }));
                         element.dispatchEvent(new Event('change', { bubbles: true }));
                     }
+                    return !!element;
                 }, field, value);
+                if (!filled) missingFields.push(field);
                 await delay(500);
             } catch (e) {
-                console.log(`Could not fill field ${field}: ${e.message}`);
+                missingFields.push(field);
+                console.log(`Could not fill field ${field}: ${redactText(e.message)}`);
             }
         }
+        endFormFillTimer();
+        logStep('fields_filled', missingFields.length === 0
+            ? `Filled ${formFields.length} fields`
+            : `Could not fill: ${missingFields.join(', ')}`);
+        reportProgress('form_filled', 'Filled in the booking form');
+
+        // Dry run stops here: report what the form holds instead of submitting
+        if (dryRun) {
+            const report = await buildDryRunReport(page, profile, patient, notesFields);
+            const ok = report.missingSelectors.length === 0 && report.mismatchedFields.length === 0 && !!report.submitSelector;
+            logStep('dry_run', ok
+                ? 'Form filled as expected, not submitted'
+                : `Form not as expected (missing: ${report.missingSelectors.length}, mismatched: ${report.mismatchedFields.join(', ') || 'none'}, submit button ${report.submitSelector ? 'found' : 'missing'}), not submitted`);
+            return finish({
+                status: 'dry_run',
+                message: ok ? 'Dry run completed' : 'Dry run found problems',
+                ok,
+                report,
+                pageState: await classifyPage(page, profile)
+            });
+        }
+
+        if (isAborted()) return finish(aborted());
 
         // Try to submit the form
-        let submissionSuccess = false;
-        
+        let pageState = { state: PAGE_STATES.UNKNOWN, evidence: null, selector: null };
+
         try {
             // Method 1: Direct evaluate
-            await page.evaluate(() => {
-                const button = document.querySelector('#ctl00_ctl00_BodyContent_BodyContent_ButtonSubmitRequest');
-                if (button) button.click();
-            });
+            reportProgress('submitting', 'Submitting the booking request');
+            logStep('submit_method_1', 'Clicking submit button');
+            await clickFirst(page, profile.submit.selectors);
             await delay(3000);
 
             // Check if submission was successful
-            submissionSuccess = await page.evaluate(() => {
-                return !!document.querySelector('.confirmation-message');
-            });
+            pageState = await classifyPage(page, profile);
+            logPageState(pageState);
 
-            // Method 2: Try alternative click method if needed
-            if (!submissionSuccess) {
-                await page.evaluate(() => {
-                    const button = document.querySelector('#ctl00_ctl00_BodyContent_BodyContent_ButtonSubmitRequest');
-                    if (button) {
-                        const event = new MouseEvent('click', {
-                            view: window,
-                            bubbles: true,
-                            cancelable: true
-                        });
-                        button.dispatchEvent(event);
-                    }
-                });
+            // Method 2: Try alternative click method if the page didn't react
+            if (pageState.state === PAGE_STATES.FORM_AVAILABLE || pageState.state === PAGE_STATES.UNKNOWN) {
+                logStep('submit_method_2', 'No confirmation yet, dispatching click event');
+                await clickFirst(page, profile.submit.selectors, true);
                 await delay(5000);
-                
-                submissionSuccess = await page.evaluate(() => {
-                    return !!document.querySelector('.confirmation-message');
-                });
+
+                pageState = await classifyPage(page, profile);
+                logPageState(pageState);
             }
         } catch (e) {
-            console.log('Submit button interaction failed:', e.message);
+            logStep('error', `Submit button interaction failed: ${e.message}`);
+            console.log('Submit button interaction failed:', redactText(e.message));
         }
 
         // Check final result
-        if (submissionSuccess) {
-            const confirmationText = await page.evaluate(() => {
-                const confirmation = document.querySelector('.confirmation-message');
-                return confirmation ? confirmation.innerText : '';
-            });
-            
-            await browser.close();
-            return { 
-                status: 'success', 
-                message: 'Appointment booked successfully', 
-                confirmation: confirmationText 
-            };
-        } else {
-            // Try to capture error message if any
-            const errorMsg = await page.evaluate(() => {
-                const error = document.querySelector('.error-message') || 
-                              document.querySelector('.validation-summary-errors');
-                return error ? error.innerText : 'Unknown error';
-            });
-            
-            await browser.close();
-            return { 
-                status: 'error', 
-                message: 'Failed to book appointment', 
-                error: errorMsg 
-            };
+        const finalResult = resultForPageState(pageState);
+        if (finalResult) {
+            logStep('outcome', `${finalResult.status}: ${pageState.evidence || pageState.state}`);
+            return finish({ ...finalResult, pageState });
         }
 
+        // Report the validation summary (if any) as the error
+        const errorMsg = pageState.state === PAGE_STATES.VALIDATION_ERROR && pageState.evidence
+            ? pageState.evidence
+            : 'Unknown error';
+
+        logStep('outcome', `No confirmation found: ${errorMsg}`);
+        return finish({
+            status: 'error',
+            message: 'Failed to book appointment',
+            error: redactText(errorMsg),
+            pageState
+        });
+
     } catch (error) {
-        console.error('Error:', error);
-        await browser.close();
-        return { 
-            status: 'error', 
-            message: 'Exception occurred', 
-            error: error.message 
-        };
+        console.error('Error:', redactError(error));
+        logStep('error', error.message);
+        return finish({
+            status: 'error',
+            message: 'Exception occurred',
+            error: redactText(error.message)
+        });
+    }
+}
+
+/**
+ * Open a booking URL and report what it shows, without filling or submitting anything
+ * @param {string} url - Booking URL
+ * @param {Object} options
+ * @param {string|Object} options.profile - Portal profile; picked from the URL by default
+ * @param {number} options.delayMultiplier - Scales the wait after loading the page
+ * @returns {Promise<Object>} { status, message, pageState } - status is available, booked, expired, error or unknown
+ */
+async function checkAppointmentSlot(url, options = {}) {
+    const profile = options.profile
+        ? loadPortalProfile(options.profile)
+        : resolvePortalProfile(url);
+    const { delayMultiplier = 1 } = options;
+
+    const { page, browser, release } = await acquirePage();
+
+    try {
+        await page.goto(url, {
+            waitUntil: 'networkidle0',
+            timeout: 60000
+        });
+        await sleep(3000 * delayMultiplier);
+
+        const pageState = await classifyPage(page, profile);
+        if (pageState.state === PAGE_STATES.FORM_AVAILABLE) {
+            return { status: 'available', message: 'Request form is available', pageState };
+        }
+
+        const result = resultForPageState(pageState);
+        if (result) return { ...result, pageState };
+
+        return { status: 'unknown', message: 'Page did not match any known state', pageState };
+    } catch (error) {
+        console.error('Error:', redactError(error));
+        return { status: 'error', message: 'Exception occurred', error: error.message };
+    } finally {
+        await release({ crashed: !browser.connected });
     }
 }
 
-module.exports = { bookTherapyAppointment };
\ No newline at end of file
+module.exports = { bookTherapyAppointment, checkAppointmentSlot };
@@ -1,6 +1,66 @@
 const mongoose = require('mongoose');
+const { parseAppointmentDateTime } = require('../services/slotTimeService');
+const {
+    encryptedField,
+    encryptValue,
+    needsReencryption,
+    isEncryptionEnabled,
+    getActiveKeyId
+} = require('../services/encryptionService');
+const config = require('../config');
 const Schema = mongoose.Schema;
 
+// Slots a patient accepts instead of theirs - see fallbackService
+const FallbackSchema = new Schema({
+    clinician: {
+        type: String,
+        enum: ['same', 'any'],
+        default: 'same'
+    },
+    appointmentType: {
+        type: String,
+        default: null
+    },
+    days: [{
+        type: String,
+        enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+    }],
+    // 24-hour practice time, 'HH:MM'
+    timeWindows: [{
+        _id: false,
+        start: String,
+        end: String
+    }],
+    // YYYY-MM-DD
+    latestDate: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+// Slot fields as they were before and after a substitution
+const SlotRefSchema = new Schema({
+    href: String,
+    clinicianId: String,
+    clinicianName: String,
+    appointmentType: String,
+    appointmentDate: String,
+    appointmentTime: String,
+    appointmentAt: Date
+}, { _id: false });
+
+const SubstitutionSchema = new Schema({
+    // 'taken' or 'expired'
+    reason: String,
+    from: SlotRefSchema,
+    to: SlotRefSchema,
+    slotId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Slot'
+    },
+    substitutedAt: Date
+}, { _id: false });
+
 /**
  * AppointmentStatus Model
  * Enhanced model to track appointment bookings with all form fields
@@ -29,6 +89,11 @@ const AppointmentStatusSchema = new Schema({
         type: String,
         required: true
     },
+    // Last ten digits of phone, so "(555) 123-4567" and "555.123.4567" match
+    phoneDigits: {
+        type: String,
+        default: null
+    },
     email: {
         type: String,
         required: true
@@ -58,11 +123,17 @@ const AppointmentStatusSchema = new Schema({
     appointmentTime: {
         type: String
     },
+    // Slot start parsed from appointmentDate/appointmentTime in the practice time zone;
+    // null when the strings can't be parsed
+    appointmentAt: {
+        type: Date,
+        default: null
+    },
     
     // Status
     status: {
         type: String,
-        enum: ['unknown', 'booked','expired'],
+        enum: ['unknown', 'booked', 'expired', 'failed', 'cancelled'],
         default: 'unknown',
         index: true
     },
@@ -79,6 +150,21 @@ const AppointmentStatusSchema = new Schema({
     fileUrls: [{  // Make sure this field exists
         type: String
     }],
+    // Files uploaded through /api/appointments/:id/documents
+    documents: [{
+        originalName: String,
+        contentType: String,
+        size: Number,
+        sha256: String,
+        // Backend the file was saved to (local or gridfs) and its key there
+        storage: String,
+        storageKey: String,
+        uploadedBy: String,
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     
     // Mental health information
     previousTherapy: {
@@ -122,15 +208,203 @@ const AppointmentStatusSchema = new Schema({
         status: String,
         timestamp: Date,
         message: String
-    }]
+    }],
+    // Caller that submitted the request (API key name or JWT subject); intake
+    // callers may only follow and add documents to their own requests
+    createdBy: {
+        type: String,
+        default: null
+    },
+
+    // Other slots the patient accepts if theirs is taken or expires - see fallbackService
+    fallback: {
+        type: FallbackSchema,
+        default: null
+    },
+    // Slot switches made under the fallback preferences, oldest first
+    substitutions: [SubstitutionSchema],
+
+    // Duplicate patient handling - see duplicateService
+    // Record kept instead of this one when it was cancelled as a duplicate
+    duplicateOf: {
+        type: Schema.Types.ObjectId,
+        ref: 'AppointmentStatus',
+        default: null
+    },
+    // Set by staff when requeueing a record that is not really a duplicate
+    ignoreDuplicates: {
+        type: Boolean,
+        default: false
+    },
+
+    // Retry tracking
+    attemptCount: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // Result status of the last booking attempt; tells a confirmed booking
+    // ('success') apart from a slot someone else took ('booked')
+    lastOutcome: {
+        type: String,
+        default: null
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: null
+    },
+    // Last queue dry run; dry runs leave the attempt fields above alone
+    lastDryRunAt: {
+        type: Date,
+        default: null
+    },
+
+    // Queue lease - set while a worker is booking this record
+    leaseOwner: {
+        type: String,
+        default: null
+    },
+    leaseExpiresAt: {
+        type: Date,
+        default: null
+    }
 }, {
-    timestamps: true
+    timestamps: true,
+    // Serialised documents carry decrypted values; see ENCRYPTED_FIELDS
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false }
 });
 
+// Patient fields stored encrypted. Reading the document property returns
+// plain text; the database only ever sees ciphertext.
+const ENCRYPTED_FIELDS = [
+    'dateOfBirth',
+    'memberId',
+    'mentalHealthDiagnosis',
+    'reasonForTherapy',
+    'medicationHistory'
+];
+
+for (const field of ENCRYPTED_FIELDS) {
+    const { get, set } = encryptedField();
+    AppointmentStatusSchema.path(field).get(get).set(set);
+}
+
 // Create indexes
 AppointmentStatusSchema.index({ clinicianId: 1, status: 1 });
 AppointmentStatusSchema.index({ email: 1 });
 AppointmentStatusSchema.index({ phone: 1 });
+AppointmentStatusSchema.index({ phoneDigits: 1 });
 AppointmentStatusSchema.index({ appointmentDate: 1, appointmentTime: 1 });
+AppointmentStatusSchema.index({ status: 1, leaseExpiresAt: 1, createdAt: 1 });
+AppointmentStatusSchema.index({ createdAt: -1, _id: -1 });
+AppointmentStatusSchema.index({ appointmentAt: 1, _id: 1 });
+
+/**
+ * Comparable form of a phone number
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Last ten digits, or null when there are fewer than ten
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+AppointmentStatusSchema.statics.normalizePhone = normalizePhone;
+
+// Keep the derived appointmentAt and phoneDigits in step with their source fields
+AppointmentStatusSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('appointmentDate') || this.isModified('appointmentTime')) {
+        this.appointmentAt = parseAppointmentDateTime(
+            this.appointmentDate,
+            this.appointmentTime,
+            config.expiry.timeZone
+        );
+    }
+    if (this.isNew || this.isModified('phone')) {
+        this.phoneDigits = normalizePhone(this.phone);
+    }
+    next();
+});
+
+// Keep the audit trail bounded so long-lived records don't grow without limit
+const MAX_PROCESSING_LOG_ENTRIES = 500;
+
+/**
+ * $push clause appending entries to processingLog within the size limit, for
+ * updates that change other fields or many records at once
+ * @param {Array<Object>|Object} entries - Entries of { status, message, timestamp? }
+ * @returns {Object} Value for an update's $push
+ */
+AppointmentStatusSchema.statics.processingLogPush = function(entries) {
+    const list = (Array.isArray(entries) ? entries : [entries]).map(entry => ({
+        status: entry.status,
+        message: entry.message,
+        timestamp: entry.timestamp || new Date()
+    }));
+
+    return { processingLog: { $each: list, $slice: -MAX_PROCESSING_LOG_ENTRIES } };
+};
+
+/**
+ * Append entries to an appointment's processingLog
+ * @param {string} id - AppointmentStatus document id
+ * @param {Array<Object>} entries - Entries of { status, message, timestamp? }
+ * @returns {Promise<Object>} Mongo update result
+ */
+AppointmentStatusSchema.statics.appendProcessingLog = function(id, entries) {
+    return this.updateOne({ _id: id }, { $push: this.processingLogPush(entries) });
+};
+
+/**
+ * Rewrite encrypted fields that use a retired key, or were stored before
+ * encryption was enabled, with the active key
+ * @param {Object} options
+ * @param {number} options.batchSize - Records loaded per query
+ * @returns {Promise<number>} Number of records rewritten
+ */
+AppointmentStatusSchema.statics.reencryptSensitiveFields = async function({ batchSize = 100 } = {}) {
+    if (!isEncryptionEnabled()) return 0;
+
+    const current = new RegExp(`^enc:v1:${getActiveKeyId()}:`);
+    const filter = {
+        $or: ENCRYPTED_FIELDS.map(field => ({ [field]: { $nin: [null, ''], $not: current } }))
+    };
+
+    let rewritten = 0;
+    let lastId = null;
+    for (;;) {
+        const batch = await this.find(lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter)
+            .sort({ _id: 1 })
+            .limit(batchSize)
+            .select(ENCRYPTED_FIELDS.join(' '));
+        if (batch.length === 0) return rewritten;
+
+        for (const appointment of batch) {
+            const stale = ENCRYPTED_FIELDS.filter(field => needsReencryption(appointment.get(field, null, { getters: false })));
+            if (stale.length === 0) continue;
+
+            const update = {};
+            for (const field of stale) {
+                // The getter decrypts with whichever key wrote the value, or
+                // returns null when that key is no longer configured
+                const value = appointment[field];
+                if (value !== null) update[field] = encryptValue(value);
+            }
+            if (Object.keys(update).length === 0) continue;
+
+            await this.updateOne({ _id: appointment._id }, { $set: update });
+            rewritten++;
+        }
+        lastId = batch[batch.length - 1]._id;
+    }
+};
 
 module.exports = mongoose.model('AppointmentStatus', AppointmentStatusSchema);
\ No newline at end of file
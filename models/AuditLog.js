@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Schema = mongoose.Schema;
+
+/**
+ * AuditLog Model
+ * One entry per API request, attributed to the API key or JWT subject that made it
+ */
+const AuditLogSchema = new Schema({
+    // api_key or jwt; null when the request carried no valid credential
+    actorType: {
+        type: String,
+        default: null
+    },
+    // API key name or JWT subject
+    actorId: {
+        type: String,
+        default: null
+    },
+    role: {
+        type: String,
+        default: null
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    // Path without the query string, which can hold patient emails and phone numbers
+    path: {
+        type: String,
+        required: true
+    },
+    statusCode: {
+        type: Number
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    durationMs: {
+        type: Number
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.audit.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
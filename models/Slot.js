@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Slot Model
+ * An open appointment slot found on a clinician's availability pages.
+ * A slot that stops showing up is kept with goneAt set, so the history of
+ * when it was offered survives.
+ */
+const SlotSchema = new Schema({
+    // Booking URL; what the queue books
+    href: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    clinicianId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    clinicianName: {
+        type: String,
+        default: null
+    },
+    appointmentType: {
+        type: String,
+        default: null
+    },
+    // As shown on the portal
+    appointmentDate: {
+        type: String,
+        default: null
+    },
+    appointmentTime: {
+        type: String,
+        default: null
+    },
+    // Slot start parsed from appointmentDate/appointmentTime; null when they can't be parsed
+    appointmentAt: {
+        type: Date,
+        default: null
+    },
+    // Portal profile the slot was crawled with
+    portal: {
+        type: String,
+        default: null
+    },
+    firstSeenAt: {
+        type: Date,
+        required: true
+    },
+    lastSeenAt: {
+        type: Date,
+        required: true
+    },
+    // Set when a complete crawl of the clinician no longer lists the slot
+    goneAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+SlotSchema.index({ clinicianId: 1, goneAt: 1, appointmentAt: 1 });
+
+module.exports = mongoose.model('Slot', SlotSchema);
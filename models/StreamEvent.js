@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Schema = mongoose.Schema;
+
+/**
+ * StreamEvent Model
+ * Progress and status events relayed between server instances, so an event
+ * stream sees bookings run by any instance - see eventStreamService
+ */
+const StreamEventSchema = new Schema({
+    // 'progress' or 'status'
+    type: {
+        type: String,
+        required: true
+    },
+    appointmentId: {
+        type: String,
+        required: true
+    },
+    // Event payload as written to the stream; ids, statuses and step names only
+    data: {
+        type: Schema.Types.Mixed,
+        required: true
+    },
+    // Process that published the event; it has already delivered it to its own streams
+    origin: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+StreamEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: Math.ceil(config.events.relayRetentionMs / 1000) });
+
+module.exports = mongoose.model('StreamEvent', StreamEventSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * WebhookDelivery Model
+ * One outbound webhook notification and every attempt made to deliver it
+ */
+const WebhookDeliverySchema = new Schema({
+    eventId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    appointmentId: {
+        type: Schema.Types.ObjectId,
+        ref: 'AppointmentStatus',
+        index: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'delivered', 'failed'],
+        default: 'pending',
+        index: true
+    },
+    attempts: [{
+        attemptedAt: Date,
+        statusCode: Number,
+        error: String,
+        durationMs: Number
+    }],
+    deliveredAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+WebhookDeliverySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,128 @@
+const path = require('path');
+const config = require('../config');
+
+const MARKER_GROUPS = ['booked', 'expired', 'success', 'error'];
+const OPTIONAL_MARKER_GROUPS = ['challenge'];
+
+/**
+ * Check that a profile has every section bookTherapyAppointment relies on
+ * @param {Object} profile - Portal profile
+ * @returns {Object} The same profile
+ * @throws {Error} Describing the first problem found
+ */
+function validatePortalProfile(profile) {
+    const name = profile && profile.name ? profile.name : '(unnamed)';
+    const fail = message => {
+        throw new Error(`Invalid portal profile '${name}': ${message}`);
+    };
+
+    if (!profile || typeof profile !== 'object') fail('profile must be an object');
+    if (!profile.name) fail('name is required');
+
+    if (!profile.guestEntry || !Array.isArray(profile.guestEntry.selectors)) {
+        fail('guestEntry.selectors must be an array');
+    }
+    if (!profile.fields || typeof profile.fields !== 'object' || Object.keys(profile.fields).length === 0) {
+        fail('fields must map at least one patient field to a selector');
+    }
+    if (!profile.submit || !Array.isArray(profile.submit.selectors) || profile.submit.selectors.length === 0) {
+        fail('submit.selectors must be a non-empty array');
+    }
+    if (profile.notes !== undefined) {
+        const { notes } = profile;
+        if (!notes.field || !profile.fields[notes.field]) {
+            fail('notes.field must name a field mapped in fields');
+        }
+        if (!Array.isArray(notes.template) || notes.template.some(line => typeof line !== 'string')) {
+            fail('notes.template must be an array of strings');
+        }
+        if (notes.maxLength !== undefined && !(Number.isInteger(notes.maxLength) && notes.maxLength > 0)) {
+            fail('notes.maxLength must be a positive integer');
+        }
+    }
+    if (profile.availability !== undefined) {
+        const { availability } = profile;
+        if (typeof availability.url !== 'string' || !availability.url.includes('{clinicianId}')) {
+            fail('availability.url must be a string containing {clinicianId}');
+        }
+        if (typeof availability.slots !== 'string' || !availability.slots) {
+            fail('availability.slots must be a selector');
+        }
+        if (availability.maxPages !== undefined && !(Number.isInteger(availability.maxPages) && availability.maxPages > 0)) {
+            fail('availability.maxPages must be a positive integer');
+        }
+    }
+    if (!profile.markers) fail('markers are required');
+
+    for (const group of [...MARKER_GROUPS, ...OPTIONAL_MARKER_GROUPS]) {
+        const markers = profile.markers[group];
+        if (markers === undefined && OPTIONAL_MARKER_GROUPS.includes(group)) continue;
+        if (!Array.isArray(markers)) fail(`markers.${group} must be an array`);
+        for (const marker of markers) {
+            if (!marker || (!marker.selector && !marker.text)) {
+                fail(`every marker in markers.${group} needs a selector or text`);
+            }
+        }
+    }
+
+    return profile;
+}
+
+/**
+ * Load a portal profile by name (from this directory) or by file path.
+ * Both JS modules and JSON files are accepted.
+ * @param {string|Object} nameOrProfile - Profile name, path, or an already loaded profile
+ * @returns {Object} Validated portal profile
+ */
+function loadPortalProfile(nameOrProfile = config.portal.profile) {
+    if (typeof nameOrProfile === 'object') {
+        return validatePortalProfile(nameOrProfile);
+    }
+
+    const isPath = nameOrProfile.includes('/') || nameOrProfile.includes('\\');
+    const modulePath = isPath
+        ? path.resolve(nameOrProfile)
+        : path.join(__dirname, nameOrProfile);
+
+    let profile;
+    try {
+        profile = require(modulePath);
+    } catch (error) {
+        throw new Error(`Portal profile '${nameOrProfile}' could not be loaded: ${error.message}`);
+    }
+
+    return validatePortalProfile(profile);
+}
+
+/**
+ * Pick the profile whose hosts match a booking URL, falling back to the
+ * configured default profile
+ * @param {string} url - Booking URL
+ * @returns {Object} Validated portal profile
+ */
+function resolvePortalProfile(url) {
+    const defaultProfile = loadPortalProfile();
+
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        return defaultProfile;
+    }
+
+    for (const name of config.portal.available) {
+        const profile = loadPortalProfile(name);
+        const hosts = profile.hosts || [];
+        if (hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+            return profile;
+        }
+    }
+
+    return defaultProfile;
+}
+
+module.exports = {
+    loadPortalProfile,
+    resolvePortalProfile,
+    validatePortalProfile
+};
@@ -0,0 +1,119 @@
+/**
+ * Portal profile for TherapyNotes' therapyportal.com request pages
+ *
+ * Profiles describe everything bookTherapyAppointment needs to know about a
+ * portal's markup. Markers match when the selector exists and, if `text` is
+ * given, the element's text contains it. A marker with only `text` matches
+ * anywhere in the page text.
+ */
+module.exports = {
+    name: 'therapyportal',
+
+    // Hostnames this profile is picked for automatically (suffix match)
+    hosts: ['therapyportal.com'],
+
+    // Step that reveals the request form for patients without an account
+    guestEntry: {
+        selectors: [
+            'psy-button#ContinueAsGuestButton',
+            '#ContinueAsGuestButton',
+            'button[onclick="DisplayGuestRequestForm()"]'
+        ],
+        waitAfterMs: 2000
+    },
+
+    form: {
+        selector: '#TableRequestForm'
+    },
+
+    // Patient field -> input selector
+    fields: {
+        firstName: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxFirstName',
+        middleName: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxMiddleName',
+        lastName: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxLastName',
+        preferredName: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxPreferredName',
+        email: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxEmailAddress',
+        phone: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxMobilePhone',
+        dateOfBirth: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxDOB',
+        comments: '#ctl00_ctl00_BodyContent_BodyContent_TextBoxComments'
+    },
+
+    // Intake answers without a dedicated portal field are written into the
+    // comments box so the clinician sees them with the request
+    notes: {
+        field: 'comments',
+        // The portal's textarea maxlength; a lower limit found on the page wins
+        maxLength: 1000,
+        template: [
+            '{{comments}}',
+            '',
+            'Reason for therapy: {{reasonForTherapy}}',
+            'Diagnosis: {{mentalHealthDiagnosis}}',
+            'Previous therapy: {{previousTherapy}}',
+            'Currently taking medication: {{takingMedication}}',
+            'Medication history: {{medicationHistory}}',
+            '',
+            'Insurance: {{insurance}}',
+            'Member ID: {{memberId}}',
+            'Documents: {{fileUrls}}'
+        ],
+        // Shortened in this order when the notes don't fit
+        truncate: ['medicationHistory', 'mentalHealthDiagnosis', 'comments', 'reasonForTherapy'],
+        minLength: 80
+    },
+
+    // Pages listing a clinician's open slots, read by the availability crawler.
+    // Slot fields are read inside each slot element, or inside its nearest
+    // `closest` ancestor when given; `attribute` reads an attribute instead of text.
+    availability: {
+        url: '{baseUrl}/appointments/availability/?clinician={clinicianId}',
+        clinicianName: { selector: '.clinician-name' },
+        slots: 'a.appointment-slot',
+        slotFields: {
+            appointmentDate: { closest: '.availability-day', selector: '.day-heading' },
+            appointmentTime: { selector: '.slot-time' },
+            appointmentType: { selector: '.slot-type' }
+        },
+        // Link to the next week of availability
+        next: 'a.next-page',
+        maxPages: 8
+    },
+
+    submit: {
+        selectors: [
+            '#ctl00_ctl00_BodyContent_BodyContent_ButtonSubmitRequest',
+            'input[value="Submit Request"]'
+        ]
+    },
+
+    markers: {
+        // Slot has been taken by someone else
+        booked: [
+            { selector: '.standard-banner-message span', text: 'Please contact the office' },
+            { text: 'slot is no longer available' },
+            { text: 'has already been booked' },
+            { text: 'time slot has been taken' }
+        ],
+        // Slot is too close to be requested online
+        expired: [
+            { selector: 'psy-banner[level="error"]', text: 'Because the selected appointment is very soon' }
+        ],
+        // Request was accepted
+        success: [
+            { selector: '.confirmation-message' },
+            { text: 'has been received' },
+            { text: 'successfully submitted' }
+        ],
+        // Form was rejected; the element's text is reported as the error
+        error: [
+            { selector: '.error-message' },
+            { selector: '.validation-summary-errors' }
+        ],
+        // Anti-bot interstitial in front of the portal
+        challenge: [
+            { selector: 'iframe[src*="challenges.cloudflare.com"]' },
+            { selector: '#challenge-form' },
+            { text: 'Verify you are human' }
+        ]
+    }
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const AppointmentStatus = require('../models/AppointmentStatus');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sortable fields; each has an index with _id as the tie-breaker
+const SORT_FIELDS = ['createdAt', 'appointmentAt'];
+
+// Fields that can never be requested through ?fields=
+const HIDDEN_FIELDS = ['__v', 'leaseOwner', 'leaseExpiresAt'];
+
+/**
+ * Encode the position after the last returned record
+ * @param {Object} position - { sort, order, value, id }
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} Position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!position || !mongoose.isValidObjectId(position.id) || !position.sort) return null;
+        // listAppointments compares the value as a date, which JSON turned into a string
+        if (typeof position.value !== 'string' || !parseDateParam(position.value)) return null;
+        return position;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a date query parameter
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+function parseDateParam(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Add a { $gte, $lte } range to a filter from two query parameters
+ */
+function applyRange(filter, errors, field, fromParam, toParam, fromValue, toValue) {
+    const from = parseDateParam(fromValue);
+    const to = parseDateParam(toValue);
+
+    if (from === null) errors[fromParam] = `${fromParam} must be a date`;
+    if (to === null) errors[toParam] = `${toParam} must be a date`;
+    if (!from && !to) return;
+
+    filter[field] = { ...(filter[field] || {}) };
+    if (from) filter[field].$gte = from;
+    if (to) filter[field].$lte = to;
+}
+
+/**
+ * Translate GET /api/appointments query parameters into a Mongo query
+ *
+ * Supported parameters:
+ *   status         comma separated statuses
+ *   clinicianId    exact clinician id
+ *   email, phone   exact patient lookup (email is case-insensitive, phone compares digits only)
+ *   appointmentFrom, appointmentTo   range on the parsed slot time
+ *   createdFrom, createdTo           range on createdAt
+ *   fields         comma separated projection
+ *   sort           createdAt (default) or appointmentAt
+ *   order          desc (default) or asc
+ *   limit          page size, 1-200 (default 50)
+ *   cursor         nextCursor from the previous page
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { filter, sort, order, limit, projection, cursor, errors }
+ */
+function parseListQuery(query = {}) {
+    const errors = {};
+    const filter = {};
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+        const allowed = AppointmentStatus.schema.path('status').enumValues;
+        const unknown = statuses.filter(status => !allowed.includes(status));
+        if (unknown.length > 0) {
+            errors.status = `status must be one of: ${allowed.join(', ')}`;
+        } else {
+            filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+        }
+    }
+
+    if (query.clinicianId) filter.clinicianId = String(query.clinicianId);
+    if (query.email) filter.email = String(query.email).trim().toLowerCase();
+    if (query.phone) {
+        const phoneDigits = AppointmentStatus.normalizePhone(query.phone);
+        if (phoneDigits) {
+            // Records saved before phoneDigits existed only match on the exact string
+            filter.$or = [{ phoneDigits }, { phone: String(query.phone).trim() }];
+        } else {
+            errors.phone = 'phone must have at least 10 digits';
+        }
+    }
+
+    applyRange(filter, errors, 'appointmentAt', 'appointmentFrom', 'appointmentTo', query.appointmentFrom, query.appointmentTo);
+    applyRange(filter, errors, 'createdAt', 'createdFrom', 'createdTo', query.createdFrom, query.createdTo);
+
+    const sort = query.sort || 'createdAt';
+    if (!SORT_FIELDS.includes(sort)) {
+        errors.sort = `sort must be one of: ${SORT_FIELDS.join(', ')}`;
+    }
+
+    const order = query.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+        errors.order = 'order must be asc or desc';
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.limit = `limit must be between 1 and ${MAX_LIMIT}`;
+        }
+    }
+
+    let projection = null;
+    if (query.fields) {
+        const fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+        const invalid = fields.filter(field => HIDDEN_FIELDS.includes(field) || !AppointmentStatus.schema.path(field));
+        if (invalid.length > 0) {
+            errors.fields = `Unknown fields: ${invalid.join(', ')}`;
+        } else {
+            // The sort field is always returned so the next cursor can be built
+            projection = [...new Set([...fields, sort])].join(' ');
+        }
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(String(query.cursor));
+        if (!cursor) {
+            errors.cursor = 'cursor is invalid';
+        } else if (cursor.sort !== sort || cursor.order !== order) {
+            errors.cursor = 'cursor was issued for a different sort order';
+        }
+    }
+
+    return { filter, sort, order, limit, projection, cursor, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Run a parsed list query with keyset pagination on (sort field, _id)
+ * @param {Object} parsed - Output of parseListQuery (without errors)
+ * @returns {Promise<Object>} { appointments, pageInfo: { limit, hasMore, nextCursor } }
+ */
+async function listAppointments({ filter, sort, order, limit, projection, cursor }) {
+    const direction = order === 'asc' ? 1 : -1;
+    const comparison = order === 'asc' ? '$gt' : '$lt';
+    const conditions = [filter];
+
+    // Records without a parsed slot time can't be ordered by it
+    if (sort === 'appointmentAt') {
+        conditions.push({ appointmentAt: { $ne: null } });
+    }
+
+    if (cursor) {
+        // Both sort fields are dates, which JSON turned into strings
+        const value = new Date(cursor.value);
+        const id = new mongoose.Types.ObjectId(cursor.id);
+        conditions.push({
+            $or: [
+                { [sort]: { [comparison]: value } },
+                { [sort]: value, _id: { [comparison]: id } }
+            ]
+        });
+    }
+
+    const query = AppointmentStatus.find(conditions.length > 1 ? { $and: conditions } : filter)
+        .sort({ [sort]: direction, _id: direction })
+        .limit(limit + 1)
+        .select(projection || `-${HIDDEN_FIELDS.join(' -')}`);
+
+    const results = await query;
+    const hasMore = results.length > limit;
+    const appointments = hasMore ? results.slice(0, limit) : results;
+
+    let nextCursor = null;
+    if (hasMore) {
+        const last = appointments[appointments.length - 1];
+        nextCursor = encodeCursor({ sort, order, value: last[sort], id: last._id.toString() });
+    }
+
+    return { appointments, pageInfo: { limit, hasMore, nextCursor } };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    parseListQuery,
+    listAppointments
+};
@@ -0,0 +1,191 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { encryptBuffer, decryptBuffer } = require('./encryptionService');
+const config = require('../config');
+
+// Attempt directories and file names are generated by us; anything else in a
+// download request is rejected rather than resolved against the filesystem
+const SAFE_NAME = /^[\w.-]+$/;
+
+/**
+ * Directory holding all attempts for one appointment
+ * @param {string} appointmentId - Appointment id
+ * @returns {string} Absolute directory path
+ */
+function appointmentDir(appointmentId) {
+    return path.resolve(config.artifacts.dir, String(appointmentId));
+}
+
+/**
+ * Collects console errors, page errors and failed requests while a page is open
+ * @param {Object} page - Puppeteer page
+ * @returns {Object} { entries } - entries fills up as events arrive
+ */
+function createPageEventRecorder(page) {
+    const entries = [];
+    const record = (type, message) => entries.push({ type, timestamp: new Date(), message });
+
+    page.on('console', msg => {
+        if (msg.type() === 'error' || msg.type() === 'warning') {
+            record(`console.${msg.type()}`, msg.text());
+        }
+    });
+    page.on('pageerror', error => record('pageerror', error.message));
+    page.on('requestfailed', request => {
+        const failure = request.failure();
+        record('requestfailed', `${request.method()} ${request.url()} ${failure ? failure.errorText : ''}`.trim());
+    });
+    page.on('response', response => {
+        if (response.status() >= 400) {
+            record('http_error', `${response.status()} ${response.request().method()} ${response.url()}`);
+        }
+    });
+
+    return { entries };
+}
+
+/**
+ * Write an artifact file, encrypted with the PHI keys like uploaded documents:
+ * screenshots and HTML show the filled-in intake form
+ * @param {string} filePath - Destination
+ * @param {Buffer|string} content - Plain contents
+ */
+async function writeArtifact(filePath, content) {
+    await fs.writeFile(filePath, encryptBuffer(Buffer.from(content)));
+}
+
+/**
+ * Save a screenshot, the DOM and the recorded page events for an attempt
+ * @param {Object} page - Puppeteer page
+ * @param {Object} details
+ * @param {string} details.appointmentId - Appointment id the attempt belongs to
+ * @param {number} details.attempt - Attempt number
+ * @param {string} details.status - Booking result status
+ * @param {Array<Object>} details.events - Entries from createPageEventRecorder
+ * @returns {Promise<Object>} { attempt, files } describing what was written
+ */
+async function captureArtifacts(page, { appointmentId, attempt, status, events = [] }) {
+    const attemptName = `attempt-${attempt || 0}-${Date.now()}`;
+    const dir = path.join(appointmentDir(appointmentId), attemptName);
+    await fs.mkdir(dir, { recursive: true });
+
+    const files = [];
+
+    // Each artifact is best effort - a crashed page may still give us the others
+    try {
+        await writeArtifact(path.join(dir, 'screenshot.png'), await page.screenshot({ fullPage: true }));
+        files.push('screenshot.png');
+    } catch (error) {
+        console.error(`Could not capture screenshot for ${appointmentId}:`, error.message);
+    }
+
+    try {
+        await writeArtifact(path.join(dir, 'page.html'), await page.content());
+        files.push('page.html');
+    } catch (error) {
+        console.error(`Could not capture HTML for ${appointmentId}:`, error.message);
+    }
+
+    let url = null;
+    try {
+        url = page.url();
+    } catch (error) {
+        // Page already gone; the events are still worth keeping
+    }
+
+    await writeArtifact(
+        path.join(dir, 'events.json'),
+        JSON.stringify({ status, url, capturedAt: new Date(), events }, null, 2)
+    );
+    files.push('events.json');
+
+    await pruneArtifacts(appointmentId);
+
+    return { attempt: attemptName, files };
+}
+
+/**
+ * Delete the oldest attempts beyond the retention limit for an appointment
+ * @param {string} appointmentId - Appointment id
+ */
+async function pruneArtifacts(appointmentId) {
+    const attempts = await listArtifacts(appointmentId);
+    const excess = attempts.slice(config.artifacts.maxAttemptsPerAppointment);
+
+    for (const attempt of excess) {
+        await fs.rm(path.join(appointmentDir(appointmentId), attempt.attempt), { recursive: true, force: true });
+    }
+}
+
+/**
+ * List stored attempts for an appointment, newest first
+ * @param {string} appointmentId - Appointment id
+ * @returns {Promise<Array<Object>>} [{ attempt, createdAt, files: [{ name, size }] }] - size is the stored (encrypted) size
+ */
+async function listArtifacts(appointmentId) {
+    const baseDir = appointmentDir(appointmentId);
+
+    let entries;
+    try {
+        entries = await fs.readdir(baseDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const attempts = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        const attemptDir = path.join(baseDir, entry.name);
+        // Directory names end with the capture time in milliseconds
+        const capturedAt = Number(entry.name.split('-').pop());
+        const files = [];
+        for (const name of await fs.readdir(attemptDir)) {
+            const fileStats = await fs.stat(path.join(attemptDir, name));
+            files.push({ name, size: fileStats.size });
+        }
+        attempts.push({ attempt: entry.name, createdAt: new Date(capturedAt || 0), files });
+    }
+
+    return attempts.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Read a stored artifact file for download
+ * @param {string} appointmentId - Appointment id
+ * @param {string} attempt - Attempt directory name
+ * @param {string} file - File name
+ * @returns {Promise<Buffer|null>} Decrypted contents, or null if it doesn't exist
+ */
+async function readArtifact(appointmentId, attempt, file) {
+    const isSafe = name => SAFE_NAME.test(name) && name !== '.' && name !== '..';
+    if (!isSafe(attempt) || !isSafe(file)) return null;
+
+    const filePath = path.join(appointmentDir(appointmentId), attempt, file);
+    let stored;
+    try {
+        stored = await fs.readFile(filePath);
+    } catch (error) {
+        if (['ENOENT', 'EISDIR'].includes(error.code)) return null;
+        throw error;
+    }
+    // Artifacts captured before encryption was enabled are returned as they are
+    return decryptBuffer(stored);
+}
+
+/**
+ * Remove every stored artifact for an appointment
+ * @param {string} appointmentId - Appointment id
+ */
+async function deleteArtifacts(appointmentId) {
+    await fs.rm(appointmentDir(appointmentId), { recursive: true, force: true });
+}
+
+module.exports = {
+    createPageEventRecorder,
+    captureArtifacts,
+    listArtifacts,
+    readArtifact,
+    deleteArtifacts
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * Roles and what they may do
+ *   intake - forms and integrations that submit appointment requests
+ *   staff  - practice staff who monitor bookings and retry failures
+ *   admin  - everything, including deleting records and seeing unmasked patient data
+ */
+const ROLE_PERMISSIONS = {
+    intake: ['appointments:create', 'documents:upload', 'events:read', 'slots:read'],
+    staff: [
+        'appointments:read',
+        'appointments:requeue',
+        'appointments:dry-run',
+        'documents:upload',
+        'documents:read',
+        'events:read',
+        'queue:read',
+        'queue:run',
+        'slots:read',
+        'webhooks:read'
+    ],
+    admin: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+let apiKeys = null;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * Parse the configured API keys; only their hashes are kept in memory
+ * @returns {Array<Object>} [{ name, role, hash }]
+ */
+function loadApiKeys() {
+    return config.auth.apiKeys.map(entry => {
+        const [name, role, ...rest] = entry.split(':');
+        const key = rest.join(':');
+        if (!name || !key) {
+            throw new Error('API_KEYS entries must look like <name>:<role>:<key>');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`API key '${name}' has unknown role '${role}'; expected one of: ${ROLES.join(', ')}`);
+        }
+        return { name, role, hash: hashKey(key) };
+    });
+}
+
+function getApiKeys() {
+    if (!apiKeys) apiKeys = loadApiKeys();
+    return apiKeys;
+}
+
+/**
+ * Drop the cached keys so the next call re-reads config (used by tests)
+ */
+function resetApiKeys() {
+    apiKeys = null;
+}
+
+/**
+ * Whether any way of authenticating is configured
+ * @returns {boolean}
+ */
+function isAuthConfigured() {
+    return getApiKeys().length > 0 || !!config.auth.jwtSecret;
+}
+
+/**
+ * Look up an API key
+ * @param {string} key - Key presented by the caller
+ * @returns {Object|null} { type, id, role }
+ */
+function verifyApiKey(key) {
+    const hash = hashKey(key);
+    // Hashes have a fixed length, so timingSafeEqual never throws here
+    const match = getApiKeys().find(entry => crypto.timingSafeEqual(entry.hash, hash));
+    return match ? { type: 'api_key', id: match.name, role: match.role } : null;
+}
+
+/**
+ * Verify a bearer JWT signed with the shared HS256 secret
+ * @param {string} token - Encoded JWT
+ * @returns {Object|null} { type, id, role }
+ */
+function verifyJwt(token) {
+    const { jwtSecret, jwtIssuer, jwtAudience, jwtRoleClaim } = config.auth;
+    if (!jwtSecret) return null;
+
+    let claims;
+    try {
+        claims = jwt.verify(token, jwtSecret, {
+            algorithms: ['HS256'],
+            issuer: jwtIssuer || undefined,
+            audience: jwtAudience || undefined
+        });
+    } catch (error) {
+        return null;
+    }
+
+    // Access to intake records is scoped by subject, so every token must name one
+    if (typeof claims.sub !== 'string' || !claims.sub.trim()) return null;
+
+    const role = claims[jwtRoleClaim];
+    if (!ROLES.includes(role)) return null;
+    return { type: 'jwt', id: claims.sub, role };
+}
+
+/**
+ * Identify the caller from the Authorization or X-API-Key header
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {Object} { auth } for a valid credential, { error } otherwise
+ */
+function authenticateHeaders(headers = {}) {
+    const authorization = headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    const apiKey = headers['x-api-key'];
+
+    if (!bearer && !apiKey) {
+        return { error: 'Authentication required' };
+    }
+
+    let auth = null;
+    if (apiKey) {
+        auth = verifyApiKey(apiKey);
+    } else {
+        const token = bearer[1].trim();
+        // JWTs have three dot-separated parts; anything else is an API key
+        auth = token.split('.').length === 3 ? verifyJwt(token) : verifyApiKey(token);
+    }
+
+    return auth ? { auth } : { error: 'Invalid credentials' };
+}
+
+/**
+ * Check the bearer token a metrics scraper sent against METRICS_TOKEN
+ * @param {string} authorization - Authorization header
+ * @returns {boolean} True when no token is configured or the token matches
+ */
+function verifyMetricsToken(authorization = '') {
+    if (!config.metrics.token) return true;
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    return !!bearer && crypto.timingSafeEqual(hashKey(bearer[1].trim()), hashKey(config.metrics.token));
+}
+
+/**
+ * @param {string} role - Caller's role
+ * @param {string} permission - e.g. 'appointments:read'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    isAuthConfigured,
+    verifyApiKey,
+    verifyJwt,
+    authenticateHeaders,
+    verifyMetricsToken,
+    hasPermission,
+    resetApiKeys
+};
@@ -0,0 +1,250 @@
+const { connect } = require('puppeteer-real-browser');
+const { browserLaunches, browserCrashes } = require('./metricsService');
+const config = require('../config');
+
+/**
+ * Shared pool of warm browsers
+ *
+ * Launching Chrome dominates the cost of a booking, so browsers are kept
+ * running between bookings. Each booking gets its own incognito context
+ * (separate cookies and storage) and gives it back when done. A browser is
+ * retired after maxUsesPerBrowser bookings or as soon as it disconnects.
+ */
+const browsers = [];
+const waiters = [];
+let nextBrowserId = 1;
+let shuttingDown = false;
+
+const stats = {
+    launches: 0,
+    launchFailures: 0,
+    crashes: 0,
+    retired: 0,
+    // Message of the latest failed launch, cleared by the next successful one
+    lastLaunchError: null
+};
+
+/**
+ * Close a browser once nothing is using it any more
+ * @param {Object} entry - Pool entry
+ */
+async function retireBrowser(entry) {
+    entry.retiring = true;
+    if (entry.activeContexts > 0) return;
+
+    const index = browsers.indexOf(entry);
+    if (index !== -1) browsers.splice(index, 1);
+
+    if (!entry.closed) {
+        entry.closed = true;
+        stats.retired++;
+        await entry.browser.close().catch(error => {
+            console.error(`Error closing pooled browser ${entry.id}:`, error.message);
+        });
+    }
+
+    // A slot opened up; let a waiting booking launch a replacement
+    drainWaiters();
+}
+
+/**
+ * Launch a browser and add it to the pool
+ * @returns {Promise<Object>} Pool entry
+ */
+async function launchBrowser() {
+    const entry = {
+        id: nextBrowserId++,
+        browser: null,
+        uses: 0,
+        activeContexts: 0,
+        retiring: false,
+        closed: false,
+        launchedAt: new Date()
+    };
+    // Reserve the slot while Chrome starts so concurrent acquires don't over-launch
+    browsers.push(entry);
+
+    try {
+        const { browser } = await connect({
+            headless: config.browserPool.headless,
+            turnstile: true,
+        });
+        entry.browser = browser;
+        stats.launches++;
+        stats.lastLaunchError = null;
+        browserLaunches.inc({ result: 'success' });
+    } catch (error) {
+        if (entry.closed) throw error;
+        browsers.splice(browsers.indexOf(entry), 1);
+        stats.launchFailures++;
+        stats.lastLaunchError = error.message;
+        browserLaunches.inc({ result: 'failure' });
+        drainWaiters();
+        throw error;
+    }
+
+    // The pool was shut down while Chrome was starting
+    if (entry.closed) {
+        await entry.browser.close().catch(() => {});
+        throw new Error('Browser pool is shutting down');
+    }
+
+    entry.browser.on('disconnected', () => {
+        if (entry.closed) return;
+        entry.closed = true;
+        stats.crashes++;
+        browserCrashes.inc();
+        console.error(`Pooled browser ${entry.id} disconnected unexpectedly`);
+
+        const index = browsers.indexOf(entry);
+        if (index !== -1) browsers.splice(index, 1);
+        drainWaiters();
+    });
+
+    return entry;
+}
+
+/**
+ * Pick a running browser with spare capacity
+ * @returns {Object|undefined} Pool entry
+ */
+function findAvailableBrowser() {
+    return browsers.find(entry => entry.browser
+        && !entry.retiring
+        && !entry.closed
+        && entry.activeContexts < config.browserPool.contextsPerBrowser);
+}
+
+/**
+ * Hand freed capacity to bookings waiting in acquirePage
+ */
+function drainWaiters() {
+    while (waiters.length > 0) {
+        const hasCapacity = findAvailableBrowser() || browsers.length < config.browserPool.size;
+        if (!hasCapacity) return;
+
+        const waiter = waiters.shift();
+        acquirePage().then(waiter.resolve, waiter.reject);
+    }
+}
+
+/**
+ * Open a page in a fresh incognito context on a pooled browser
+ * @returns {Promise<Object>} { page, browser, release(options) }
+ */
+async function acquirePage() {
+    if (shuttingDown) {
+        throw new Error('Browser pool is shutting down');
+    }
+
+    let entry = findAvailableBrowser();
+
+    if (!entry) {
+        if (browsers.length >= config.browserPool.size) {
+            return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+        }
+        entry = await launchBrowser();
+    }
+
+    entry.activeContexts++;
+    entry.uses++;
+
+    let context;
+    let page;
+    try {
+        context = await entry.browser.createBrowserContext();
+        page = await context.newPage();
+    } catch (error) {
+        entry.activeContexts--;
+        if (context) await context.close().catch(() => {});
+        await retireBrowser(entry);
+        throw error;
+    }
+
+    let released = false;
+
+    /**
+     * Give the context back to the pool
+     * @param {Object} options
+     * @param {boolean} options.crashed - Retire the browser instead of reusing it
+     */
+    const release = async ({ crashed = false } = {}) => {
+        if (released) return;
+        released = true;
+
+        await context.close().catch(() => {});
+        entry.activeContexts--;
+
+        const wornOut = entry.uses >= config.browserPool.maxUsesPerBrowser;
+        if (crashed || wornOut || entry.retiring || !entry.browser.connected) {
+            await retireBrowser(entry);
+        } else {
+            drainWaiters();
+        }
+    };
+
+    return { page, browser: entry.browser, release };
+}
+
+/**
+ * Make sure a browser is running, launching one if the pool is empty
+ * @returns {Promise<void>}
+ */
+async function warmUpBrowserPool() {
+    if (shuttingDown) {
+        throw new Error('Browser pool is shutting down');
+    }
+    // A browser is already up or on its way
+    if (browsers.length > 0) return;
+
+    await launchBrowser();
+}
+
+/**
+ * Close every pooled browser and reject bookings still waiting for one
+ * @param {Object} options
+ * @param {boolean} options.permanent - Keep refusing new pages afterwards (process exit)
+ */
+async function shutdownBrowserPool({ permanent = false } = {}) {
+    shuttingDown = true;
+
+    while (waiters.length > 0) {
+        waiters.shift().reject(new Error('Browser pool is shutting down'));
+    }
+
+    await Promise.all(browsers.slice().map(entry => {
+        entry.closed = true;
+        return entry.browser
+            ? entry.browser.close().catch(error => console.error(`Error closing pooled browser ${entry.id}:`, error.message))
+            : null;
+    }));
+    browsers.length = 0;
+    shuttingDown = permanent;
+}
+
+/**
+ * Current pool state for monitoring
+ * @returns {Object} Browser counts and lifetime statistics
+ */
+function getBrowserPoolStats() {
+    return {
+        size: config.browserPool.size,
+        browsers: browsers.map(entry => ({
+            id: entry.id,
+            uses: entry.uses,
+            activeContexts: entry.activeContexts,
+            retiring: entry.retiring,
+            ready: !!entry.browser && !entry.closed,
+            launchedAt: entry.launchedAt
+        })),
+        waiting: waiters.length,
+        ...stats
+    };
+}
+
+module.exports = {
+    acquirePage,
+    warmUpBrowserPool,
+    shutdownBrowserPool,
+    getBrowserPoolStats
+};
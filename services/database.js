@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+/**
+ * Open the shared Mongoose connection used by every model
+ * @returns {Promise<Object>} Mongoose connection
+ * @throws {Error} When MONGODB_URI is not set
+ */
+async function connectDatabase() {
+    if (!config.mongo.uri) {
+        throw new Error('MONGODB_URI is not set; point it at the MongoDB deployment to use');
+    }
+    await mongoose.connect(config.mongo.uri);
+    return mongoose.connection;
+}
+
+/**
+ * Close the shared connection
+ */
+async function disconnectDatabase() {
+    await mongoose.disconnect();
+}
+
+module.exports = {
+    connectDatabase,
+    disconnectDatabase
+};
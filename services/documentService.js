@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { getDocumentStorage } = require('./documentStorage');
+const config = require('../config');
+
+// File signatures of the types we know how to recognise; a file must start
+// with its declared type's signature. Types without one are trusted as declared.
+const SIGNATURES = {
+    'application/pdf': [Buffer.from('%PDF-')],
+    'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])]
+};
+
+/**
+ * Whether a file's content matches the type it claims to be
+ * @param {Buffer} buffer - File content
+ * @param {string} contentType - Declared MIME type
+ * @returns {boolean}
+ */
+function matchesSignature(buffer, contentType) {
+    const signatures = SIGNATURES[contentType];
+    if (!signatures) return true;
+    return signatures.some(signature => buffer.subarray(0, signature.length).equals(signature));
+}
+
+/**
+ * File name safe to store and echo back in Content-Disposition
+ * @param {string} name - Name sent by the client
+ * @returns {string}
+ */
+function cleanFileName(name) {
+    const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\/]/g, '').trim();
+    return base.slice(-200) || 'document';
+}
+
+/**
+ * Check uploads against the type and count limits; multer already enforces the size limit
+ * @param {Object} appointment - AppointmentStatus document
+ * @param {Array<Object>} files - multer files ({ originalname, mimetype, size, buffer })
+ * @returns {Object|null} Map of file name (or 'files') to error message, or null when every file is acceptable
+ */
+function checkUploads(appointment, files) {
+    const errors = {};
+    const { allowedTypes, maxFileBytes, maxPerAppointment } = config.documents;
+
+    if (!files || files.length === 0) {
+        errors.files = 'Attach at least one file in the "files" field';
+    } else if ((appointment.documents || []).length + files.length > maxPerAppointment) {
+        errors.files = `An appointment can have at most ${maxPerAppointment} documents`;
+    }
+
+    for (const file of files || []) {
+        const name = cleanFileName(file.originalname);
+        if (!allowedTypes.includes(file.mimetype)) {
+            errors[name] = `File type ${file.mimetype} is not allowed; expected one of: ${allowedTypes.join(', ')}`;
+        } else if (file.size === 0) {
+            errors[name] = 'File is empty';
+        } else if (file.size > maxFileBytes) {
+            errors[name] = `File is larger than ${maxFileBytes} bytes`;
+        } else if (!matchesSignature(file.buffer, file.mimetype)) {
+            errors[name] = `File content is not ${file.mimetype}`;
+        }
+    }
+
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * Save uploaded files and attach them to an appointment
+ * @param {Object} appointment - AppointmentStatus document
+ * @param {Array<Object>} files - multer files that passed checkUploads
+ * @param {Object} options
+ * @param {string} options.uploadedBy - API key name or JWT subject of the uploader
+ * @returns {Promise<Array<Object>>} The new document entries
+ */
+async function addDocuments(appointment, files, { uploadedBy = null } = {}) {
+    const storage = getDocumentStorage();
+    const documents = [];
+
+    try {
+        for (const file of files) {
+            const document = {
+                _id: new mongoose.Types.ObjectId(),
+                originalName: cleanFileName(file.originalname),
+                contentType: file.mimetype,
+                size: file.size,
+                sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                storage: storage.name,
+                uploadedBy,
+                uploadedAt: new Date()
+            };
+            document.storageKey = `${appointment._id}/${document._id}`;
+
+            await storage.save(document.storageKey, file.buffer, { contentType: file.mimetype });
+            documents.push(document);
+        }
+
+        // Only push while there is still room, in case another upload got in first
+        const room = config.documents.maxPerAppointment - documents.length;
+        const result = await AppointmentStatus.updateOne(
+            { _id: appointment._id, [`documents.${room}`]: { $exists: false } },
+            { $push: { documents: { $each: documents } } }
+        );
+        if (result.matchedCount === 0) {
+            throw new Error('Appointment was deleted or reached its document limit during the upload');
+        }
+    } catch (error) {
+        // Don't leave files behind that no record points to
+        await Promise.all(documents.map(document => storage.remove(document.storageKey).catch(() => {})));
+        throw error;
+    }
+
+    return documents;
+}
+
+/**
+ * Find one of an appointment's documents
+ * @param {Object} appointment - AppointmentStatus document
+ * @param {string} documentId - Document id
+ * @returns {Object|null} Document entry
+ */
+function findDocument(appointment, documentId) {
+    return (appointment.documents || []).find(document => document._id.toString() === documentId) || null;
+}
+
+/**
+ * Open a stored document for download
+ * @param {Object} document - Document entry from findDocument
+ * @returns {Promise<Readable|null>} File content, or null if the file is missing from storage
+ */
+function openDocument(document) {
+    return getDocumentStorage(document.storage).openReadStream(document.storageKey);
+}
+
+/**
+ * Delete one document from storage and from the appointment
+ * @param {Object} appointment - AppointmentStatus document
+ * @param {Object} document - Document entry from findDocument
+ */
+async function removeDocument(appointment, document) {
+    await getDocumentStorage(document.storage).remove(document.storageKey);
+    await AppointmentStatus.updateOne(
+        { _id: appointment._id },
+        { $pull: { documents: { _id: document._id } } }
+    );
+}
+
+/**
+ * Delete every stored file of an appointment that is being purged
+ * @param {Object} appointment - AppointmentStatus document (documents must be selected)
+ */
+async function deleteAllDocuments(appointment) {
+    for (const document of appointment.documents || []) {
+        await getDocumentStorage(document.storage).remove(document.storageKey);
+    }
+}
+
+/**
+ * Document entry as returned by the API
+ * @param {string} appointmentId - Appointment id
+ * @param {Object} document - Document entry
+ * @returns {Object}
+ */
+function describeDocument(appointmentId, document) {
+    return {
+        id: document._id,
+        originalName: document.originalName,
+        contentType: document.contentType,
+        size: document.size,
+        sha256: document.sha256,
+        uploadedBy: document.uploadedBy,
+        uploadedAt: document.uploadedAt,
+        url: `/api/appointments/${appointmentId}/documents/${document._id}`
+    };
+}
+
+module.exports = {
+    matchesSignature,
+    cleanFileName,
+    checkUploads,
+    addDocuments,
+    findDocument,
+    openDocument,
+    removeDocument,
+    deleteAllDocuments,
+    describeDocument
+};
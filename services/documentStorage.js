@@ -0,0 +1,166 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const { encryptBuffer, decryptBuffer } = require('./encryptionService');
+const config = require('../config');
+
+/**
+ * Storage backends for uploaded intake documents
+ *
+ * Every backend stores opaque keys chosen by documentService
+ * ("<appointmentId>/<documentId>") and exposes the same methods:
+ *   save(key, buffer, { contentType })  -> Promise
+ *   openReadStream(key)                 -> Promise<Readable|null>
+ *   remove(key)                         -> Promise
+ *
+ * Contents are encrypted with the PHI keys (encryptionService) before they
+ * are stored and decrypted when read back. Files stored before encryption
+ * was enabled are read as they are.
+ */
+
+// Keys are generated from ObjectIds; anything else is refused
+const SAFE_KEY = /^[a-f\d]{24}\/[a-f\d]{24}$/i;
+
+function assertSafeKey(key) {
+    if (!SAFE_KEY.test(key)) {
+        throw new Error(`Invalid document storage key '${key}'`);
+    }
+}
+
+/**
+ * Stream of the decrypted contents of a stored file. The whole file is read
+ * first: the auth tag can only be checked at the end, and nothing unverified
+ * may reach the client.
+ * @param {Readable} stored - Stream of the stored representation
+ * @returns {Promise<Readable>}
+ */
+async function decryptStream(stored) {
+    const chunks = [];
+    for await (const chunk of stored) chunks.push(chunk);
+    return Readable.from([decryptBuffer(Buffer.concat(chunks))]);
+}
+
+/**
+ * Documents as files under a directory
+ * @param {string} dir - Base directory
+ * @returns {Object} Storage backend
+ */
+function createLocalDiskStorage(dir) {
+    const resolve = key => {
+        assertSafeKey(key);
+        return path.resolve(dir, key);
+    };
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const filePath = resolve(key);
+            await fsp.mkdir(path.dirname(filePath), { recursive: true });
+            await fsp.writeFile(filePath, encryptBuffer(buffer), { flag: 'wx' });
+        },
+
+        async openReadStream(key) {
+            const filePath = resolve(key);
+            try {
+                await fsp.access(filePath);
+            } catch (error) {
+                return null;
+            }
+            return decryptStream(fs.createReadStream(filePath));
+        },
+
+        async remove(key) {
+            const filePath = resolve(key);
+            await fsp.rm(filePath, { force: true });
+            // Drop the appointment's directory once its last document is gone
+            await fsp.rmdir(path.dirname(filePath)).catch(() => {});
+        }
+    };
+}
+
+/**
+ * Documents in a GridFS bucket of the application's MongoDB database
+ * @param {string} bucketName - GridFS bucket name
+ * @returns {Object} Storage backend
+ */
+function createGridFsStorage(bucketName) {
+    let bucket = null;
+    const getBucket = () => {
+        if (!bucket) {
+            if (!mongoose.connection.db) {
+                throw new Error('GridFS document storage needs an open MongoDB connection');
+            }
+            bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+        }
+        return bucket;
+    };
+
+    const findFile = async key => {
+        assertSafeKey(key);
+        const [file] = await getBucket().find({ filename: key }).limit(1).toArray();
+        return file || null;
+    };
+
+    return {
+        name: 'gridfs',
+
+        save(key, buffer, { contentType } = {}) {
+            assertSafeKey(key);
+            return new Promise((resolve, reject) => {
+                Readable.from([encryptBuffer(buffer)])
+                    .pipe(getBucket().openUploadStream(key, { metadata: { contentType } }))
+                    .on('finish', resolve)
+                    .on('error', reject);
+            });
+        },
+
+        async openReadStream(key) {
+            const file = await findFile(key);
+            return file ? decryptStream(getBucket().openDownloadStream(file._id)) : null;
+        },
+
+        async remove(key) {
+            const file = await findFile(key);
+            if (file) await getBucket().delete(file._id);
+        }
+    };
+}
+
+const backends = new Map();
+
+/**
+ * A storage backend by name
+ * @param {string} name - 'local' or 'gridfs'; defaults to the configured backend for new uploads.
+ *   Documents remember the backend they were saved to, so switching DOCUMENT_STORAGE
+ *   leaves older documents readable.
+ * @returns {Object} Storage backend
+ */
+function getDocumentStorage(name = config.documents.storage) {
+    if (!backends.has(name)) {
+        if (name === 'local') {
+            backends.set(name, createLocalDiskStorage(config.documents.dir));
+        } else if (name === 'gridfs') {
+            backends.set(name, createGridFsStorage(config.documents.gridFsBucket));
+        } else {
+            throw new Error(`Unknown document storage '${name}'; expected local or gridfs`);
+        }
+    }
+    return backends.get(name);
+}
+
+/**
+ * Drop cached backends so the next call re-reads config (used by tests)
+ */
+function resetDocumentStorage() {
+    backends.clear();
+}
+
+module.exports = {
+    createLocalDiskStorage,
+    createGridFsStorage,
+    getDocumentStorage,
+    resetDocumentStorage
+};
@@ -0,0 +1,232 @@
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { emitStatusChange } = require('./statusEvents');
+const config = require('../config');
+
+/**
+ * Duplicate patient detection
+ *
+ * Two records are suspected to be the same patient when they share an email
+ * address or phone number and their dates of birth don't contradict each
+ * other (a parent's email on two children's requests is not a duplicate).
+ * Only records that still matter are compared: those waiting to be booked
+ * and those the portal confirmed.
+ *
+ * Policies (DUPLICATE_POLICY):
+ *   allow          - no checks
+ *   warn           - accept and book everything, but flag it in the response and processing log
+ *   block          - reject duplicates at intake; at booking time a later duplicate is cancelled
+ *   keep_earliest  - accept the request but cancel every duplicate except the earliest
+ */
+const POLICIES = ['allow', 'warn', 'block', 'keep_earliest'];
+
+// Records a new request for the same patient would collide with
+const ACTIVE = { $or: [{ status: 'unknown' }, { status: 'booked', lastOutcome: 'success' }] };
+
+const MATCH_FIELDS = 'firstName lastName email phone phoneDigits dateOfBirth status lastOutcome clinicianId clinicianName href appointmentDate appointmentTime createdAt';
+
+/**
+ * Configured policy
+ * @returns {string}
+ */
+function getDuplicatePolicy() {
+    const { policy } = config.duplicates;
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Unknown DUPLICATE_POLICY '${policy}'; expected one of: ${POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+/**
+ * Whether record a was created before record b
+ */
+function isEarlier(a, b) {
+    const difference = new Date(a.createdAt) - new Date(b.createdAt);
+    if (difference !== 0) return difference < 0;
+    return a._id.toString() < b._id.toString();
+}
+
+/**
+ * Why two records look like the same patient
+ * @returns {Array<string>} Matching fields; empty when they aren't duplicates
+ */
+function matchReasons(a, b) {
+    if (a.dateOfBirth && b.dateOfBirth && a.dateOfBirth !== b.dateOfBirth) return [];
+
+    const reasons = [];
+    if (a.email && a.email === b.email) reasons.push('email');
+    const phoneA = a.phoneDigits || AppointmentStatus.normalizePhone(a.phone);
+    const phoneB = b.phoneDigits || AppointmentStatus.normalizePhone(b.phone);
+    if (phoneA && phoneA === phoneB) reasons.push('phone');
+    return reasons;
+}
+
+/**
+ * Active records that look like the same patient, earliest first
+ * @param {Object} appointment - Saved or unsaved AppointmentStatus document
+ * @returns {Promise<Array<Object>>} [{ appointment, matchedOn }]
+ */
+async function findDuplicates(appointment) {
+    const phoneDigits = AppointmentStatus.normalizePhone(appointment.phone);
+    const contact = [];
+    if (appointment.email) contact.push({ email: appointment.email });
+    if (phoneDigits) contact.push({ phoneDigits });
+    // Records saved before phoneDigits existed only match on the exact string
+    if (appointment.phone) contact.push({ phone: appointment.phone });
+    if (contact.length === 0) return [];
+
+    const candidates = await AppointmentStatus.find({
+        _id: { $ne: appointment._id },
+        $and: [{ $or: contact }, ACTIVE]
+    })
+        .sort({ createdAt: 1, _id: 1 })
+        .select(MATCH_FIELDS);
+
+    const self = { ...appointment.toObject(), phoneDigits };
+    return candidates
+        .map(candidate => ({ appointment: candidate, matchedOn: matchReasons(self, candidate) }))
+        .filter(match => match.matchedOn.length > 0);
+}
+
+/**
+ * Cancel waiting records in favour of the one being kept
+ * @param {Array<Object>} appointments - Records to cancel
+ * @param {Object} kept - Record that stays
+ * @returns {Promise<number>} Number of records cancelled
+ */
+async function cancelDuplicates(appointments, kept) {
+    let cancelled = 0;
+
+    for (const appointment of appointments) {
+        // Only waiting, unleased records; one a worker is booking right now is left alone
+        const updated = await AppointmentStatus.findOneAndUpdate(
+            {
+                _id: appointment._id,
+                status: 'unknown',
+                $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: new Date() } }]
+            },
+            { $set: { status: 'cancelled', duplicateOf: kept._id, nextAttemptAt: null } },
+            { new: true }
+        );
+        if (!updated) continue;
+
+        await AppointmentStatus.appendProcessingLog(appointment._id, {
+            status: 'duplicate_cancelled',
+            message: `Cancelled as a duplicate of ${kept._id}`
+        });
+        emitStatusChange(updated, 'unknown', 'cancelled', { outcome: 'duplicate' });
+        cancelled++;
+    }
+
+    return cancelled;
+}
+
+/**
+ * Decide what to do with a new intake request
+ * @param {Object} appointment - Validated, unsaved AppointmentStatus document
+ * @returns {Promise<Object>} { policy, action, duplicates } - action is allow, warn, block or cancel
+ */
+async function checkIntakeDuplicates(appointment) {
+    const policy = getDuplicatePolicy();
+    if (policy === 'allow') return { policy, action: 'allow', duplicates: [] };
+
+    const duplicates = await findDuplicates(appointment);
+    if (duplicates.length === 0) return { policy, action: 'allow', duplicates };
+
+    const action = { warn: 'warn', block: 'block', keep_earliest: 'cancel' }[policy];
+    return { policy, action, duplicates };
+}
+
+/**
+ * Apply the policy to a claimed record right before it is booked
+ * @param {Object} appointment - Claimed AppointmentStatus document
+ * @returns {Promise<Object>} { proceed, duplicates } - proceed is false when the record was cancelled
+ */
+async function checkDuplicatesBeforeBooking(appointment) {
+    const policy = getDuplicatePolicy();
+    if (policy === 'allow' || appointment.ignoreDuplicates) return { proceed: true, duplicates: [] };
+
+    const duplicates = await findDuplicates(appointment);
+    if (duplicates.length === 0) return { proceed: true, duplicates };
+
+    const ids = duplicates.map(duplicate => duplicate.appointment._id).join(', ');
+    if (policy === 'warn') {
+        await AppointmentStatus.appendProcessingLog(appointment._id, {
+            status: 'duplicate_warning',
+            message: `Booking although the same patient also has ${ids}`
+        });
+        return { proceed: true, duplicates };
+    }
+
+    const earliest = duplicates[0].appointment;
+    if (isEarlier(earliest, appointment)) {
+        await cancelDuplicates([appointment], earliest);
+        return { proceed: false, duplicates };
+    }
+
+    // This is the earliest; under keep_earliest the later requests go now
+    if (policy === 'keep_earliest') {
+        await cancelDuplicates(duplicates.map(duplicate => duplicate.appointment), appointment);
+    }
+    return { proceed: true, duplicates };
+}
+
+/**
+ * Groups of active records that look like the same patient
+ * @returns {Promise<Array<Object>>} [{ matchedOn, appointments }] - appointments earliest first
+ */
+async function listDuplicateClusters() {
+    const grouped = await Promise.all(['email', 'phoneDigits'].map(field => AppointmentStatus.aggregate([
+        { $match: { ...ACTIVE, [field]: { $nin: [null, ''] } } },
+        { $group: { _id: `$${field}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ])));
+
+    // Union records that share an email or a phone into one cluster
+    const parent = new Map();
+    const find = id => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+    for (const group of grouped.flat()) {
+        const ids = group.ids.map(id => id.toString());
+        ids.forEach(id => !parent.has(id) && parent.set(id, id));
+        ids.slice(1).forEach(id => parent.set(find(id), find(ids[0])));
+    }
+    if (parent.size === 0) return [];
+
+    const records = await AppointmentStatus.find({ _id: { $in: [...parent.keys()] } })
+        .sort({ createdAt: 1, _id: 1 })
+        .select(MATCH_FIELDS);
+
+    const clusters = new Map();
+    for (const record of records) {
+        const root = find(record._id.toString());
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(record);
+    }
+
+    // Shared contact details alone aren't enough; drop pairs whose dates of birth differ
+    return [...clusters.values()]
+        .map(appointments => {
+            const matchedOn = new Set();
+            const related = appointments.filter(record => appointments.some(other => {
+                if (other === record) return false;
+                const reasons = matchReasons(record, other);
+                reasons.forEach(reason => matchedOn.add(reason));
+                return reasons.length > 0;
+            }));
+            return { matchedOn: [...matchedOn], appointments: related };
+        })
+        .filter(cluster => cluster.appointments.length > 1);
+}
+
+module.exports = {
+    POLICIES,
+    getDuplicatePolicy,
+    matchReasons,
+    findDuplicates,
+    cancelDuplicates,
+    checkIntakeDuplicates,
+    checkDuplicatesBeforeBooking,
+    listDuplicateClusters
+};
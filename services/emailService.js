@@ -0,0 +1,131 @@
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+let transport = null;
+
+/**
+ * Lazily created SMTP transport
+ * @returns {Object|null} Nodemailer transport, or null when SMTP isn't configured
+ */
+function getTransport() {
+    const { host, port, secure, user, pass } = config.email.smtp;
+    if (!host) return null;
+
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined
+        });
+    }
+    return transport;
+}
+
+/**
+ * Human-readable description of the slot
+ * @param {Object} appointment - AppointmentStatus document
+ * @returns {string}
+ */
+function describeSlot(appointment) {
+    const when = [appointment.appointmentDate, appointment.appointmentTime].filter(Boolean).join(' at ');
+    const withWhom = appointment.clinicianName ? ` with ${appointment.clinicianName}` : '';
+    return `${appointment.appointmentType || 'appointment'}${withWhom}${when ? ` on ${when}` : ''}`;
+}
+
+/**
+ * Message for the patient, or null if this change isn't worth telling them about
+ * @param {Object} event - Event from statusEvents
+ * @returns {Object|null} { subject, text }
+ */
+function patientMessage(event) {
+    const { appointment, newStatus, outcome } = event;
+    const name = appointment.preferredName || appointment.firstName;
+    const slot = describeSlot(appointment);
+
+    if (newStatus === 'booked' && outcome === 'success') {
+        return {
+            subject: 'Your appointment request has been submitted',
+            text: `Hi ${name},\n\nYour request for the ${slot} has been sent to the practice. They will contact you to confirm.\n`
+        };
+    }
+
+    if (newStatus === 'booked' || newStatus === 'expired') {
+        return {
+            subject: 'We could not request your appointment',
+            text: `Hi ${name},\n\nUnfortunately the ${slot} is no longer available to request online. The practice will be in touch to find another time.\n`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Message for the practice about any status change
+ * @param {Object} event - Event from statusEvents
+ * @returns {Object} { subject, text }
+ */
+function practiceMessage(event) {
+    const { appointment, oldStatus, newStatus, outcome, error } = event;
+    const lines = [
+        `Appointment ${appointment._id} changed from '${oldStatus}' to '${newStatus}'.`,
+        '',
+        `Patient: ${appointment.firstName} ${appointment.lastName}`,
+        `Slot: ${describeSlot(appointment)}`,
+        `Clinician ID: ${appointment.clinicianId}`,
+        `Link: ${appointment.href}`
+    ];
+    if (outcome) lines.push(`Portal outcome: ${outcome}`);
+    if (error) lines.push(`Last error: ${error}`);
+
+    return {
+        subject: `Appointment ${newStatus}: ${appointment.firstName} ${appointment.lastName}`,
+        text: `${lines.join('\n')}\n`
+    };
+}
+
+/**
+ * Email the patient and/or the practice about a status change
+ * @param {Object} event - Event from statusEvents
+ * @returns {Promise<Array<Object>>} Nodemailer results for the messages sent
+ */
+async function notifyByEmail(event) {
+    const mailer = getTransport();
+    if (!mailer || !config.email.events.includes(event.newStatus)) return [];
+
+    const messages = [];
+
+    if (config.email.notifyPatient && event.appointment.email) {
+        const message = patientMessage(event);
+        if (message) messages.push({ to: event.appointment.email, ...message });
+    }
+
+    if (config.email.practiceAddress) {
+        messages.push({ to: config.email.practiceAddress, ...practiceMessage(event) });
+    }
+
+    const results = [];
+    for (const message of messages) {
+        try {
+            results.push(await mailer.sendMail({ from: config.email.from, ...message }));
+        } catch (error) {
+            console.error(`Error sending status email for ${event.appointment._id}:`, error.message);
+        }
+    }
+    return results;
+}
+
+/**
+ * Drop the cached transport, e.g. after changing SMTP settings
+ */
+function resetTransport() {
+    if (transport) transport.close();
+    transport = null;
+}
+
+module.exports = {
+    patientMessage,
+    practiceMessage,
+    notifyByEmail,
+    resetTransport
+};
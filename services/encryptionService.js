@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Field-level encryption for patient data at rest
+ *
+ * Values are sealed with AES-256-GCM and stored as
+ * "enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>" (base64 parts). The key id
+ * travels with the value, so several keys can be configured at once: new
+ * values always use the active key and older values are still readable
+ * with the key they were written with until they are re-encrypted.
+ */
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const AUTH_TAG_BYTES = 16;
+
+let keyring = null;
+
+/**
+ * Parse the configured keys
+ * @returns {Object} { keys: Map<keyId, Buffer>, activeKeyId }
+ */
+function loadKeyring() {
+    const keys = new Map();
+
+    for (const entry of config.encryption.keys) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+            throw new Error('PHI_ENCRYPTION_KEYS entries must look like <keyId>:<base64 key>');
+        }
+
+        const keyId = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+        if (!/^[\w-]+$/.test(keyId)) {
+            throw new Error(`Encryption key id '${keyId}' may only contain letters, digits, '_' and '-'`);
+        }
+        if (key.length !== 32) {
+            throw new Error(`Encryption key '${keyId}' must be 32 bytes, got ${key.length}`);
+        }
+        keys.set(keyId, key);
+    }
+
+    const activeKeyId = config.encryption.activeKeyId || keys.keys().next().value || null;
+    if (activeKeyId && !keys.has(activeKeyId)) {
+        throw new Error(`Active encryption key '${activeKeyId}' is not in PHI_ENCRYPTION_KEYS`);
+    }
+
+    return { keys, activeKeyId };
+}
+
+function getKeyring() {
+    if (!keyring) keyring = loadKeyring();
+    return keyring;
+}
+
+/**
+ * Drop the cached keys so the next call re-reads config (used by tests)
+ */
+function resetKeyring() {
+    keyring = null;
+}
+
+/**
+ * Whether new values are encrypted; false when no key is configured
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+    return !!getKeyring().activeKeyId;
+}
+
+/**
+ * Key id new values are encrypted with
+ * @returns {string|null}
+ */
+function getActiveKeyId() {
+    return getKeyring().activeKeyId;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True if the value was produced by encryptValue
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Key id a stored value was encrypted with
+ * @param {string} value - Stored value
+ * @returns {string|null} Key id, or null for plain text
+ */
+function keyIdOf(value) {
+    return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt a value with the active key
+ * Empty values, already encrypted values and values written while
+ * encryption is disabled are returned unchanged.
+ * @param {string} value - Plain text
+ * @returns {string} Stored representation
+ */
+function encryptValue(value) {
+    if (value === undefined || value === null || value === '' || isEncrypted(value)) return value;
+
+    const { keys, activeKeyId } = getKeyring();
+    if (!activeKeyId) return value;
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return PREFIX + [
+        activeKeyId,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        ciphertext.toString('base64')
+    ].join(':');
+}
+
+/**
+ * Decrypt a stored value; plain text (written before encryption was enabled) is returned as is
+ * @param {string} value - Stored representation
+ * @returns {string} Plain text
+ * @throws {Error} When the key is unknown or the value was tampered with
+ */
+function decryptValue(value) {
+    if (!isEncrypted(value)) return value;
+
+    const [keyId, iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+        throw new Error(`Encryption key '${keyId}' is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+/**
+ * Encrypt file contents with the active key
+ * Stored as "enc:v1:<keyId>:" followed by the IV, auth tag and ciphertext
+ * as raw bytes. Contents are returned unchanged while encryption is disabled.
+ * @param {Buffer} buffer - Plain contents
+ * @returns {Buffer} Stored representation
+ */
+function encryptBuffer(buffer) {
+    const { keys, activeKeyId } = getKeyring();
+    if (!activeKeyId) return buffer;
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+    return Buffer.concat([Buffer.from(`${PREFIX}${activeKeyId}:`), iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt file contents; contents stored before encryption was enabled are returned as is
+ * @param {Buffer} buffer - Stored representation
+ * @returns {Buffer} Plain contents
+ * @throws {Error} When the key is unknown or the contents were tampered with
+ */
+function decryptBuffer(buffer) {
+    if (!buffer.subarray(0, PREFIX.length).equals(Buffer.from(PREFIX))) return buffer;
+
+    const keyIdEnd = buffer.indexOf(':', PREFIX.length);
+    const keyId = buffer.subarray(PREFIX.length, keyIdEnd).toString('utf8');
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+        throw new Error(`Encryption key '${keyId}' is not configured`);
+    }
+
+    const ivStart = keyIdEnd + 1;
+    const tagStart = ivStart + IV_BYTES;
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(ivStart, tagStart));
+    decipher.setAuthTag(buffer.subarray(tagStart, tagStart + AUTH_TAG_BYTES));
+    return Buffer.concat([decipher.update(buffer.subarray(tagStart + AUTH_TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Whether a stored value should be rewritten with the active key
+ * @param {string} value - Stored representation
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+    if (value === undefined || value === null || value === '') return false;
+    const { activeKeyId } = getKeyring();
+    return !!activeKeyId && keyIdOf(value) !== activeKeyId;
+}
+
+/**
+ * Mongoose path options that encrypt on assignment and decrypt on read
+ * @returns {Object} { get, set }
+ */
+function encryptedField() {
+    return {
+        set: encryptValue,
+        get(value) {
+            try {
+                return decryptValue(value);
+            } catch (error) {
+                // Never fall back to returning the ciphertext as if it were data
+                console.error(`Could not decrypt ${this && this._id ? `a field of ${this._id}` : 'a field'}: ${error.message}`);
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    PREFIX,
+    isEncryptionEnabled,
+    getActiveKeyId,
+    isEncrypted,
+    keyIdOf,
+    encryptValue,
+    decryptValue,
+    encryptBuffer,
+    decryptBuffer,
+    needsReencryption,
+    encryptedField,
+    resetKeyring
+};
@@ -0,0 +1,233 @@
+const os = require('os');
+const crypto = require('crypto');
+const StreamEvent = require('../models/StreamEvent');
+const { statusEvents } = require('./statusEvents');
+const { redactError } = require('./redactionService');
+const config = require('../config');
+
+/**
+ * Server-Sent Event streams of booking progress and status changes
+ *
+ * A stream follows one appointment or, for staff dashboards, all of them.
+ * Events carry ids, statuses and step names only, never patient fields.
+ *
+ * Events from this process's statusEvents bus go to its streams straight
+ * away and are also written to the StreamEvent collection. While streams are
+ * open, each instance polls that collection for events other instances
+ * published, so a stream sees bookings whichever instance runs them.
+ */
+const streams = new Set();
+let started = false;
+
+// Identifies this process's events in the relay
+const ORIGIN = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Relayed events are read again for this long after they were first due, to
+// catch inserts delayed in flight or stamped by a clock slightly behind ours
+const RELAY_OVERLAP_MS = 10 * 1000;
+
+// Relay writes not yet acknowledged, for drainEventRelay
+const pendingWrites = new Set();
+
+let relayTimer = null;
+let relayPolling = false;
+let relaySince = null;
+// Ids of relayed events already delivered within the overlap window
+const relayed = new Map();
+
+/**
+ * Write one event in the text/event-stream format
+ * @param {Object} res - Express response
+ * @param {string} type - Event name ('snapshot', 'progress', 'status')
+ * @param {Object} data - Payload, sent as JSON
+ */
+function writeEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to every stream following its appointment
+ * @param {string} type - Event name
+ * @param {Object} data - Payload with an appointmentId
+ */
+function publish(type, data) {
+    for (const stream of streams) {
+        if (!stream.appointmentId || stream.appointmentId === data.appointmentId) {
+            writeEvent(stream.res, type, data);
+        }
+    }
+}
+
+/**
+ * Payload of a 'status' event
+ * @param {Object} event - statusChanged event from statusEvents
+ * @returns {Object}
+ */
+function statusPayload(event) {
+    return {
+        appointmentId: event.appointment._id.toString(),
+        oldStatus: event.oldStatus,
+        status: event.newStatus,
+        outcome: event.outcome || null,
+        occurredAt: event.occurredAt
+    };
+}
+
+/**
+ * Payload of a 'snapshot' event, sent first so a client knows where the
+ * appointment stands before any live event arrives
+ * @param {Object} appointment - AppointmentStatus document
+ * @returns {Object}
+ */
+function snapshotPayload(appointment) {
+    return {
+        appointmentId: appointment._id.toString(),
+        status: appointment.status,
+        lastOutcome: appointment.lastOutcome || null,
+        attemptCount: appointment.attemptCount || 0,
+        nextAttemptAt: appointment.nextAttemptAt || null
+    };
+}
+
+/**
+ * Write an event of this process to the relay for the other instances
+ * @param {string} type - Event name
+ * @param {Object} data - Payload with an appointmentId
+ */
+function relayEvent(type, data) {
+    const write = StreamEvent.create({ type, appointmentId: data.appointmentId, data, origin: ORIGIN })
+        .catch(error => console.error('Error relaying stream event:', redactError(error)))
+        .finally(() => pendingWrites.delete(write));
+    pendingWrites.add(write);
+}
+
+/**
+ * Deliver events other instances relayed since the last poll
+ */
+async function pollRelayedEvents() {
+    if (relayPolling || !relaySince) return;
+    relayPolling = true;
+
+    try {
+        const polledAt = new Date();
+        const events = await StreamEvent.find({
+            createdAt: { $gte: new Date(relaySince.getTime() - RELAY_OVERLAP_MS) },
+            origin: { $ne: ORIGIN }
+        }).sort({ createdAt: 1, _id: 1 });
+
+        for (const event of events) {
+            const id = event._id.toString();
+            if (relayed.has(id)) continue;
+            relayed.set(id, event.createdAt);
+            publish(event.type, event.data);
+        }
+
+        relaySince = polledAt;
+        const forgetBefore = polledAt.getTime() - 2 * RELAY_OVERLAP_MS;
+        for (const [id, createdAt] of relayed) {
+            if (createdAt.getTime() < forgetBefore) relayed.delete(id);
+        }
+    } catch (error) {
+        console.error('Error reading relayed stream events:', redactError(error));
+    } finally {
+        relayPolling = false;
+    }
+}
+
+/**
+ * Poll the relay while at least one stream is open
+ */
+function updateRelayPolling() {
+    if (streams.size > 0 && !relayTimer) {
+        relaySince = new Date();
+        relayTimer = setInterval(pollRelayedEvents, config.events.relayPollMs);
+        relayTimer.unref();
+    } else if (streams.size === 0 && relayTimer) {
+        clearInterval(relayTimer);
+        relayTimer = null;
+        relayed.clear();
+    }
+}
+
+/**
+ * Forward status changes and booking progress to the open streams and to
+ * the other instances
+ */
+function startEventStreams() {
+    if (started) return;
+    started = true;
+
+    const forward = (type, data) => {
+        publish(type, data);
+        relayEvent(type, data);
+    };
+    statusEvents.on('statusChanged', event => forward('status', statusPayload(event)));
+    statusEvents.on('progress', event => forward('progress', event));
+}
+
+/**
+ * Wait until every event published so far has been written to the relay
+ */
+async function drainEventRelay() {
+    while (pendingWrites.size > 0) {
+        await Promise.allSettled([...pendingWrites]);
+    }
+}
+
+/**
+ * Turn a response into an event stream that stays open until the client leaves
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Object} options.appointment - Only stream this appointment's events, starting with a snapshot; all appointments when omitted
+ */
+function openEventStream(res, { appointment = null } = {}) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Keeps nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.events.retryMs}\n\n`);
+
+    const stream = { res, appointmentId: appointment ? appointment._id.toString() : null };
+    if (appointment) writeEvent(res, 'snapshot', snapshotPayload(appointment));
+    streams.add(stream);
+    updateRelayPolling();
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatMs);
+    heartbeat.unref();
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        streams.delete(stream);
+        updateRelayPolling();
+    });
+}
+
+/**
+ * End every open stream, e.g. on shutdown; EventSource clients reconnect on their own
+ */
+function closeEventStreams() {
+    for (const stream of [...streams]) {
+        stream.res.end();
+    }
+}
+
+/**
+ * Number of open streams
+ * @returns {number}
+ */
+function countEventStreams() {
+    return streams.size;
+}
+
+module.exports = {
+    startEventStreams,
+    pollRelayedEvents,
+    drainEventRelay,
+    openEventStream,
+    closeEventStreams,
+    countEventStreams
+};
@@ -0,0 +1,98 @@
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { parseAppointmentDateTime } = require('./slotTimeService');
+const { emitStatusChange } = require('./statusEvents');
+const { substituteSlot } = require('./fallbackService');
+const config = require('../config');
+
+/**
+ * Fill in appointmentAt for records saved before it existed
+ * @returns {Promise<number>} Number of records updated
+ */
+async function backfillAppointmentTimes() {
+    const records = await AppointmentStatus.find({
+        status: 'unknown',
+        appointmentAt: { $exists: false }
+    }).select('appointmentDate appointmentTime');
+
+    for (const record of records) {
+        // Unparseable strings are stored as null so they aren't retried on every sweep
+        await AppointmentStatus.updateOne(
+            { _id: record._id },
+            {
+                $set: {
+                    appointmentAt: parseAppointmentDateTime(
+                        record.appointmentDate,
+                        record.appointmentTime,
+                        config.expiry.timeZone
+                    )
+                }
+            }
+        );
+    }
+
+    return records.length;
+}
+
+/**
+ * Move waiting appointments whose slot is in the past, or starts within the
+ * configured lead time, to 'expired' so the queue stops trying to book them.
+ * Records with fallback preferences are switched to another slot instead
+ * when one matches. Records currently leased to a worker are left for that
+ * worker to finish.
+ * @returns {Promise<number>} Number of appointments expired
+ */
+async function sweepExpiredAppointments() {
+    await backfillAppointmentTimes();
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() + config.expiry.leadTimeMs);
+
+    const candidates = await AppointmentStatus.find({
+        status: 'unknown',
+        appointmentAt: { $ne: null, $lte: cutoff },
+        $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+    }).select('_id href clinicianId clinicianName appointmentType appointmentDate appointmentTime appointmentAt fallback substitutions');
+    if (candidates.length === 0) return 0;
+
+    const ids = [];
+    for (const candidate of candidates) {
+        const substituted = candidate.fallback
+            ? await substituteSlot(candidate, { reason: 'expired', requireUnleased: true })
+            : null;
+        if (!substituted) ids.push(candidate._id);
+    }
+    if (ids.length === 0) return 0;
+
+    // Re-check status and lease so a worker that claimed one in between keeps it
+    const result = await AppointmentStatus.updateMany(
+        {
+            _id: { $in: ids },
+            status: 'unknown',
+            $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+        },
+        {
+            $set: { status: 'expired', nextAttemptAt: null },
+            $push: AppointmentStatus.processingLogPush({
+                status: 'expired',
+                timestamp: now,
+                message: `Slot starts before ${cutoff.toISOString()}, expired by sweeper`
+            })
+        }
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`Expired ${result.modifiedCount} appointments whose slots have passed`);
+
+        const expired = await AppointmentStatus.find({ _id: { $in: ids }, status: 'expired' });
+        for (const appointment of expired) {
+            emitStatusChange(appointment, 'unknown', 'expired', { outcome: 'slot_passed' });
+        }
+    }
+
+    return result.modifiedCount;
+}
+
+module.exports = {
+    backfillAppointmentTimes,
+    sweepExpiredAppointments
+};
@@ -0,0 +1,219 @@
+const AppointmentStatus = require('../models/AppointmentStatus');
+const Slot = require('../models/Slot');
+const { parseSlotDate, parseSlotTime, parseAppointmentDateTime, toZonedWallClock } = require('./slotTimeService');
+const config = require('../config');
+
+/**
+ * Fallback slots
+ *
+ * A patient can say which other slots they'd accept if theirs is taken or
+ * expires. The replacement is picked from the slots the availability crawler
+ * found (see slotCrawler); the record's href and slot fields are switched to
+ * it and the change is kept in its substitutions list.
+ *
+ * Preferences (all optional):
+ *   clinician        'same' (default) or 'any'
+ *   appointmentType  defaults to the record's own appointmentType
+ *   days             weekdays, e.g. ['mon', 'wed']
+ *   timeWindows      [{ start, end }] in practice time, e.g. { start: '9:00 AM', end: '12:00 PM' }
+ *   latestDate       last acceptable day
+ */
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CLINICIAN_SCOPES = ['same', 'any'];
+
+// Slot fields copied onto the record when it is switched
+const SLOT_FIELDS = ['href', 'clinicianId', 'clinicianName', 'appointmentType', 'appointmentDate', 'appointmentTime', 'appointmentAt'];
+
+const pad = number => String(number).padStart(2, '0');
+
+/**
+ * Validate fallback preferences from an intake payload and bring them into stored form
+ * @param {Object} value - Preferences as sent by the client
+ * @returns {Object} { fallback, error } - error is a message, or null when valid
+ */
+function normalizeFallback(value) {
+    const invalid = error => ({ fallback: null, error });
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return invalid('fallback must be an object');
+    }
+
+    const fallback = {
+        clinician: String(value.clinician || 'same').trim().toLowerCase(),
+        appointmentType: value.appointmentType ? String(value.appointmentType).trim() : null,
+        days: [],
+        timeWindows: [],
+        latestDate: null
+    };
+
+    if (!CLINICIAN_SCOPES.includes(fallback.clinician)) {
+        return invalid(`fallback.clinician must be one of: ${CLINICIAN_SCOPES.join(', ')}`);
+    }
+
+    if (value.days !== undefined) {
+        if (!Array.isArray(value.days)) return invalid('fallback.days must be an array of weekdays');
+        fallback.days = [...new Set(value.days.map(day => String(day).trim().slice(0, 3).toLowerCase()))];
+        if (!fallback.days.every(day => DAYS.includes(day))) {
+            return invalid('fallback.days must only contain weekdays, e.g. "mon" or "Monday"');
+        }
+    }
+
+    if (value.timeWindows !== undefined) {
+        if (!Array.isArray(value.timeWindows)) return invalid('fallback.timeWindows must be an array of { start, end }');
+        for (const window of value.timeWindows) {
+            const start = parseSlotTime(window && window.start);
+            const end = parseSlotTime(window && window.end);
+            if (!start || !end) return invalid('fallback.timeWindows entries need a start and end time, e.g. "9:00 AM"');
+
+            const range = { start: `${pad(start.hour)}:${pad(start.minute)}`, end: `${pad(end.hour)}:${pad(end.minute)}` };
+            if (range.start >= range.end) return invalid('fallback.timeWindows entries must end after they start');
+            fallback.timeWindows.push(range);
+        }
+    }
+
+    if (value.latestDate !== undefined && value.latestDate !== null && value.latestDate !== '') {
+        const date = parseSlotDate(value.latestDate);
+        if (!date) return invalid('fallback.latestDate must be a date, e.g. MM/DD/YYYY');
+        fallback.latestDate = `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+    }
+
+    return { fallback, error: null };
+}
+
+/**
+ * Whether a slot is acceptable under a record's fallback preferences
+ * @param {Object} slot - Slot document or fields
+ * @param {Object} appointment - AppointmentStatus document with fallback set
+ * @param {string} timeZone - Practice time zone
+ * @returns {boolean}
+ */
+function matchesFallback(slot, appointment, timeZone = config.expiry.timeZone) {
+    const { fallback } = appointment;
+    if (!fallback || !slot.appointmentAt) return false;
+
+    if (fallback.clinician !== 'any' && slot.clinicianId !== appointment.clinicianId) return false;
+
+    const wantedType = fallback.appointmentType || appointment.appointmentType;
+    if (wantedType && String(slot.appointmentType || '').toLowerCase() !== wantedType.toLowerCase()) return false;
+
+    const wallClock = toZonedWallClock(new Date(slot.appointmentAt), timeZone);
+
+    if (fallback.days && fallback.days.length > 0 && !fallback.days.includes(wallClock.weekday)) return false;
+
+    if (fallback.timeWindows && fallback.timeWindows.length > 0) {
+        const time = `${pad(wallClock.hour)}:${pad(wallClock.minute)}`;
+        if (!fallback.timeWindows.some(window => time >= window.start && time <= window.end)) return false;
+    }
+
+    if (fallback.latestDate) {
+        const date = `${wallClock.year}-${pad(wallClock.month)}-${pad(wallClock.day)}`;
+        if (date > fallback.latestDate) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Open slots the record could switch to, soonest first
+ * @param {Object} appointment - AppointmentStatus document with fallback set
+ * @returns {Promise<Array<Object>>} Slot documents
+ */
+async function findFallbackSlots(appointment) {
+    const { fallback } = appointment;
+    const timeZone = config.expiry.timeZone;
+
+    // Too soon to be requested online; the sweeper would expire it straight away
+    const appointmentAt = { $gt: new Date(Date.now() + config.expiry.leadTimeMs) };
+    if (fallback.latestDate) {
+        appointmentAt.$lte = parseAppointmentDateTime(fallback.latestDate, '11:59 PM', timeZone);
+    }
+
+    const filter = { goneAt: null, href: { $ne: appointment.href }, appointmentAt };
+    if (fallback.clinician !== 'any') filter.clinicianId = appointment.clinicianId;
+
+    const slots = (await Slot.find(filter).sort({ appointmentAt: 1, _id: 1 }).limit(200))
+        .filter(slot => matchesFallback(slot, appointment, timeZone));
+    if (slots.length === 0) return [];
+
+    // A slot another request is already waiting for (or holds) is not open for this one
+    const claimed = new Set(await AppointmentStatus.distinct('href', { href: { $in: slots.map(slot => slot.href) } }));
+    return slots.filter(slot => !claimed.has(slot.href));
+}
+
+/**
+ * Switch a record whose slot was taken or expired to the next slot matching
+ * its fallback preferences. The record goes back to waiting with a fresh
+ * attempt budget.
+ * @param {Object} appointment - AppointmentStatus document
+ * @param {Object} options
+ * @param {string} options.reason - 'taken' or 'expired'
+ * @param {Object} options.set - Extra fields to set in the same update (e.g. lastOutcome)
+ * @param {boolean} options.requireUnleased - Leave the record alone if a worker holds its lease
+ * @param {string} options.leaseOwner - Only switch while this worker holds the lease
+ * @returns {Promise<Object|null>} Updated record, or null when it was not switched
+ */
+async function substituteSlot(appointment, { reason, set = {}, requireUnleased = false, leaseOwner = null }) {
+    if (!appointment.fallback) return null;
+
+    const substitutions = appointment.substitutions || [];
+    if (substitutions.length >= config.fallback.maxSubstitutions) {
+        await AppointmentStatus.appendProcessingLog(appointment._id, {
+            status: 'no_fallback_slot',
+            message: `Slot ${reason}; already switched slots ${substitutions.length} times, not trying another`
+        });
+        return null;
+    }
+
+    // The crawler would only notice on its next pass
+    await Slot.updateOne({ href: appointment.href, goneAt: null }, { $set: { goneAt: new Date() } });
+
+    const from = {};
+    for (const field of SLOT_FIELDS) from[field] = appointment[field] === undefined ? null : appointment[field];
+
+    for (const slot of await findFallbackSlots(appointment)) {
+        const to = {};
+        for (const field of SLOT_FIELDS) to[field] = slot[field];
+
+        const filter = { _id: appointment._id, href: appointment.href, status: 'unknown' };
+        if (requireUnleased) {
+            filter.$or = [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: new Date() } }];
+        }
+        if (leaseOwner) filter.leaseOwner = leaseOwner;
+
+        let updated;
+        try {
+            updated = await AppointmentStatus.findOneAndUpdate(
+                filter,
+                {
+                    $set: { ...set, ...to, attemptCount: 0, lastError: null, nextAttemptAt: null },
+                    $push: { substitutions: { reason, from, to, slotId: slot._id, substitutedAt: new Date() } }
+                },
+                { new: true }
+            );
+        } catch (error) {
+            // Another request claimed the same href in the meantime; try the next slot
+            if (error.code === 11000) continue;
+            throw error;
+        }
+        if (!updated) return null;
+
+        await AppointmentStatus.appendProcessingLog(appointment._id, {
+            status: 'slot_substituted',
+            message: `Slot ${reason}; switched to ${[to.clinicianName, to.appointmentDate, to.appointmentTime].filter(Boolean).join(' ')} (${to.href})`
+        });
+        return updated;
+    }
+
+    await AppointmentStatus.appendProcessingLog(appointment._id, {
+        status: 'no_fallback_slot',
+        message: `Slot ${reason}; no open slot matches the fallback preferences`
+    });
+    return null;
+}
+
+module.exports = {
+    DAYS,
+    normalizeFallback,
+    matchesFallback,
+    findFallbackSlots,
+    substituteSlot
+};
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { getQueueRunState } = require('./queueService');
+const { getBrowserPoolStats, warmUpBrowserPool } = require('./browserPool');
+const { isShuttingDown } = require('./shutdownService');
+const config = require('../config');
+
+/**
+ * Readiness checks behind GET /readyz
+ *
+ * Messages are kept free of connection strings and stack traces because the
+ * endpoint is unauthenticated; details go to the log.
+ */
+
+let lastWarmUpAt = 0;
+let warmUp = null;
+
+/**
+ * Mongo is connected and answers a ping in time
+ * @returns {Promise<Object>} { ok, error }
+ */
+async function checkDatabase() {
+    if (mongoose.connection.readyState !== 1) {
+        return { ok: false, error: 'Database is not connected' };
+    }
+
+    let timer;
+    try {
+        const ping = mongoose.connection.db.admin().ping();
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Ping timed out')), config.health.pingTimeoutMs);
+        });
+        await Promise.race([ping, timeout]);
+        return { ok: true };
+    } catch (error) {
+        console.error('Readiness database ping failed:', error.message);
+        return { ok: false, error: 'Database did not answer a ping' };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * A pooled browser is running. An empty pool gets a browser launched in the
+ * background (at most once per browserRetryMs) rather than holding up the probe.
+ * @returns {Object} { ok, error }
+ */
+function checkBrowser() {
+    const pool = getBrowserPoolStats();
+    if (pool.browsers.some(entry => entry.ready)) return { ok: true };
+
+    if (!warmUp && Date.now() - lastWarmUpAt >= config.health.browserRetryMs) {
+        lastWarmUpAt = Date.now();
+        warmUp = warmUpBrowserPool()
+            .catch(error => console.error('Readiness browser launch failed:', error.message))
+            .finally(() => {
+                warmUp = null;
+            });
+    }
+
+    return pool.lastLaunchError
+        ? { ok: false, error: 'Browser could not be launched' }
+        : { ok: false, error: 'Browser is starting' };
+}
+
+/**
+ * The queue run in progress, if any, is still finishing appointments
+ * @param {Date} now
+ * @returns {Object} { ok, error }
+ */
+function checkQueue(now = new Date()) {
+    const { running, lastProgressAt } = getQueueRunState();
+    if (running && now - lastProgressAt > config.health.queueStallMs) {
+        return { ok: false, error: `Queue run has not finished an appointment since ${lastProgressAt.toISOString()}` };
+    }
+    return { ok: true };
+}
+
+/**
+ * Whether this instance should receive traffic
+ * @returns {Promise<Object>} { ready, shuttingDown, checks: { database, browser, queue } }
+ */
+async function checkReadiness() {
+    if (isShuttingDown()) {
+        return { ready: false, shuttingDown: true, checks: {} };
+    }
+
+    const checks = {
+        database: await checkDatabase(),
+        browser: checkBrowser(),
+        queue: checkQueue()
+    };
+
+    return {
+        ready: Object.values(checks).every(check => check.ok),
+        shuttingDown: false,
+        checks
+    };
+}
+
+module.exports = {
+    checkDatabase,
+    checkBrowser,
+    checkQueue,
+    checkReadiness
+};
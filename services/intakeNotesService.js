@@ -0,0 +1,164 @@
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Renders the clinical part of the intake into the portal's free-text box
+ *
+ * Templates are lists of lines with {{field}} placeholders. A line is left
+ * out when any placeholder in it is empty, so a patient who skipped the
+ * medication questions doesn't produce a "Medication history: " line.
+ * Blank lines separate sections and never appear twice in a row or at the
+ * start or end.
+ */
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const ELLIPSIS = '…';
+
+// Free-text values are never cut shorter than this while truncating
+const DEFAULT_MIN_LENGTH = 80;
+
+let templateOverride;
+
+/**
+ * Template lines from the file named by INTAKE_NOTES_TEMPLATE, if set
+ * @returns {Array<string>|null}
+ */
+function loadTemplateOverride() {
+    if (templateOverride === undefined) {
+        templateOverride = config.portal.notesTemplate
+            ? fs.readFileSync(config.portal.notesTemplate, 'utf8').replace(/\r?\n$/, '').split(/\r?\n/)
+            : null;
+    }
+    return templateOverride;
+}
+
+/**
+ * Text used for a field value inside the notes
+ * @param {*} value - Intake value
+ * @returns {string} Empty string for missing values
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.filter(Boolean).join(', ');
+
+    const text = String(value).trim();
+    if (text === 'yes') return 'Yes';
+    if (text === 'no') return 'No';
+    return text;
+}
+
+/**
+ * Fill in a template
+ * @param {Array<string>} template - Template lines
+ * @param {Object} values - Field -> formatted value
+ * @returns {Object} { text, fields } - fields lists the placeholders that made it into the text
+ */
+function renderTemplate(template, values) {
+    const lines = [];
+    const fields = new Set();
+
+    for (const line of template) {
+        const names = [...line.matchAll(PLACEHOLDER)].map(match => match[1]);
+        if (names.some(name => !values[name])) continue;
+
+        names.forEach(name => fields.add(name));
+        lines.push(line.replace(PLACEHOLDER, (match, name) => values[name]));
+    }
+
+    const text = lines
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { text, fields: [...fields] };
+}
+
+/**
+ * Length of the text as the portal receives it; browsers submit each line break as CRLF
+ * @param {string} text
+ * @returns {number}
+ */
+function submittedLength(text) {
+    return text.length + (text.match(/\n/g) || []).length;
+}
+
+/**
+ * Shorten text at a word boundary, marking the cut
+ * @param {string} text - Text to shorten
+ * @param {number} length - Maximum length including the marker
+ * @returns {string}
+ */
+function truncateText(text, length) {
+    if (text.length <= length) return text;
+
+    const cut = text.slice(0, length - ELLIPSIS.length);
+    const lastSpace = cut.lastIndexOf(' ');
+    // Only back up to a word boundary if that doesn't throw most of the text away
+    const trimmed = lastSpace > cut.length * 0.8 ? cut.slice(0, lastSpace) : cut;
+    return trimmed.trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Render the notes for a patient, fitting them into the portal's limit
+ *
+ * Truncation rules, applied until the text fits:
+ *   1. Fields in notes.truncate are shortened in that order, each down to
+ *      no less than notes.minLength characters.
+ *   2. Whatever is still too long is cut at the limit.
+ * Field lines are never dropped to make room, so the clinician always
+ * sees which questions were answered.
+ *
+ * @param {Object} patient - Intake values
+ * @param {Object} notes - Profile notes settings { field, template, maxLength, truncate, minLength }
+ * @param {Object} options
+ * @param {number} options.maxLength - Limit read from the page; the lower of this and notes.maxLength wins
+ * @returns {Object} { text, fields, truncated }
+ */
+function renderIntakeNotes(patient, notes, { maxLength } = {}) {
+    const template = loadTemplateOverride() || notes.template;
+    const limits = [notes.maxLength, maxLength].filter(limit => limit > 0);
+    const limit = limits.length > 0 ? Math.min(...limits) : Infinity;
+    const minLength = notes.minLength || DEFAULT_MIN_LENGTH;
+
+    const values = {};
+    for (const [field, value] of Object.entries(patient)) {
+        values[field] = formatValue(value);
+    }
+
+    let rendered = renderTemplate(template, values);
+    let truncated = false;
+
+    for (const field of notes.truncate || []) {
+        const overflow = submittedLength(rendered.text) - limit;
+        if (overflow <= 0) break;
+
+        const value = values[field];
+        if (!value || value.length <= minLength) continue;
+
+        values[field] = truncateText(value, Math.max(minLength, value.length - overflow));
+        rendered = renderTemplate(template, values);
+        truncated = true;
+    }
+
+    while (submittedLength(rendered.text) > limit) {
+        rendered.text = truncateText(rendered.text, rendered.text.length - (submittedLength(rendered.text) - limit));
+        truncated = true;
+    }
+
+    return { ...rendered, truncated };
+}
+
+/**
+ * Drop the cached template override so the next render re-reads config (used by tests)
+ */
+function resetTemplateOverride() {
+    templateOverride = undefined;
+}
+
+module.exports = {
+    formatValue,
+    renderTemplate,
+    submittedLength,
+    truncateText,
+    renderIntakeNotes,
+    resetTemplateOverride
+};
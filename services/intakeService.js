@@ -0,0 +1,226 @@
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { normalizeFallback } = require('./fallbackService');
+
+/**
+ * Fields a client is allowed to supply through the intake route.
+ * Tracking fields (status, processingLog, submittedAt) and clinicianId
+ * are owned by the server and never taken from the payload.
+ */
+const INTAKE_FIELDS = [
+    'firstName',
+    'middleName',
+    'lastName',
+    'preferredName',
+    'dateOfBirth',
+    'phone',
+    'email',
+    'href',
+    'clinicianName',
+    'appointmentType',
+    'appointmentDate',
+    'appointmentTime',
+    'insurance',
+    'memberId',
+    'fileUrls',
+    'previousTherapy',
+    'takingMedication',
+    'mentalHealthDiagnosis',
+    'reasonForTherapy',
+    'hasMedicationHistory',
+    'medicationHistory',
+    'comments',
+    'fallback'
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOB_PATTERN = /^(0[1-9]|1[0-2])\/(0[1-9]|[12]\d|3[01])\/\d{4}$/;
+
+/**
+ * Extract clinician ID from an appointment URL
+ * @param {string} href - The appointment URL
+ * @returns {string} Clinician ID, or an empty string if it cannot be found
+ */
+function extractClinicianId(href) {
+    try {
+        const url = new URL(href);
+        return url.searchParams.get('clinician') || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Pick the accepted intake fields from a request body and normalise them
+ * @param {Object} body - Raw request body
+ * @returns {Object} Appointment data ready to be validated
+ */
+function normalizeIntake(body = {}) {
+    const data = {};
+
+    for (const field of INTAKE_FIELDS) {
+        const value = body[field];
+        if (value === undefined || value === null) continue;
+
+        if (field === 'fileUrls') {
+            data.fileUrls = Array.isArray(value)
+                ? value.map(url => String(url).trim()).filter(Boolean)
+                : value;
+            continue;
+        }
+
+        data[field] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    // yes/no answers are stored lower-case in the schema enums
+    for (const field of ['previousTherapy', 'takingMedication', 'hasMedicationHistory']) {
+        if (typeof data[field] === 'string') {
+            data[field] = data[field].toLowerCase();
+        }
+    }
+
+    if (typeof data.email === 'string') {
+        data.email = data.email.toLowerCase();
+    }
+
+    if (typeof data.href === 'string') {
+        data.clinicianId = extractClinicianId(data.href);
+    }
+
+    return data;
+}
+
+/**
+ * Checks that go beyond what the Mongoose schema enforces
+ * @param {Object} data - Normalised intake data
+ * @returns {Object} Map of field name to error message
+ */
+function checkIntakeFormat(data) {
+    const errors = {};
+
+    if (data.email && !EMAIL_PATTERN.test(data.email)) {
+        errors.email = 'Email address is not valid';
+    }
+
+    if (data.dateOfBirth && !DOB_PATTERN.test(data.dateOfBirth)) {
+        errors.dateOfBirth = 'Date of birth must be in MM/DD/YYYY format';
+    }
+
+    if (data.phone && data.phone.replace(/\D/g, '').length < 10) {
+        errors.phone = 'Phone number must contain at least 10 digits';
+    }
+
+    if (data.href) {
+        let url = null;
+        try {
+            url = new URL(data.href);
+        } catch (error) {
+            errors.href = 'href must be an absolute URL';
+        }
+        if (url && !data.clinicianId) {
+            errors.href = 'href must include a clinician query parameter';
+        }
+    }
+
+    if (data.fileUrls !== undefined) {
+        if (!Array.isArray(data.fileUrls)) {
+            errors.fileUrls = 'fileUrls must be an array of URLs';
+        } else if (!data.fileUrls.every(isHttpUrl)) {
+            errors.fileUrls = 'fileUrls must only contain http or https URLs';
+        }
+    }
+
+    if (data.hasMedicationHistory === 'yes' && !data.medicationHistory) {
+        errors.medicationHistory = 'Medication history is required when hasMedicationHistory is yes';
+    }
+
+    return errors;
+}
+
+/**
+ * Convert a Mongoose ValidationError into a field -> message map
+ * @param {Error} error - Error thrown by document.validate()
+ * @returns {Object} Map of field name to error message
+ */
+function formatValidationErrors(error) {
+    const errors = {};
+    if (!error || !error.errors) return errors;
+
+    for (const [path, detail] of Object.entries(error.errors)) {
+        const field = path.split('.')[0];
+        if (errors[field]) continue;
+
+        if (detail.kind === 'required') {
+            errors[field] = `${field} is required`;
+        } else if (detail.kind === 'enum') {
+            errors[field] = `${field} must be one of: ${detail.properties.enumValues.join(', ')}`;
+        } else {
+            errors[field] = detail.message;
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an intake payload and build an unsaved AppointmentStatus document
+ * @param {Object} body - Raw request body
+ * @returns {Promise<Object>} { appointment, errors } - errors is null when valid
+ */
+async function validateIntake(body) {
+    const data = normalizeIntake(body);
+
+    // Checked before the document is built so malformed preferences aren't cast
+    let fallbackError = null;
+    if (data.fallback !== undefined) {
+        const { fallback, error } = normalizeFallback(data.fallback);
+        fallbackError = error;
+        if (error) delete data.fallback;
+        else data.fallback = fallback;
+    }
+
+    const appointment = new AppointmentStatus(data);
+
+    let errors = {};
+    try {
+        await appointment.validate();
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        errors = formatValidationErrors(error);
+    }
+
+    // Schema errors (e.g. required) take precedence over format checks
+    errors = { ...checkIntakeFormat(data), ...errors };
+    if (fallbackError) errors.fallback = fallbackError;
+
+    // clinicianId is derived, so report a missing one against href
+    if (errors.clinicianId) {
+        if (!errors.href) {
+            errors.href = 'href must include a clinician query parameter';
+        }
+        delete errors.clinicianId;
+    }
+
+    return {
+        appointment,
+        errors: Object.keys(errors).length > 0 ? errors : null
+    };
+}
+
+module.exports = {
+    INTAKE_FIELDS,
+    extractClinicianId,
+    normalizeIntake,
+    validateIntake
+};
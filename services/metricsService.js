@@ -0,0 +1,133 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const AppointmentStatus = require('../models/AppointmentStatus');
+
+/**
+ * Prometheus metrics, served by GET /metrics
+ *
+ * Booking and browser metrics are recorded where the work happens (main.js,
+ * browserPool); appointment counts are read from Mongo on every scrape.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'scrapper_' });
+
+const bookingAttempts = new client.Counter({
+    name: 'scrapper_booking_attempts_total',
+    help: 'Booking attempts by outcome (success, booked = taken by someone else, expired, error, dry_run)',
+    labelNames: ['outcome'],
+    registers: [register]
+});
+
+const pageLoadSeconds = new client.Histogram({
+    name: 'scrapper_booking_page_load_seconds',
+    help: 'Time to load the booking page',
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+    registers: [register]
+});
+
+const formFillSeconds = new client.Histogram({
+    name: 'scrapper_booking_form_fill_seconds',
+    help: 'Time to write the intake notes and fill the request form',
+    buckets: [1, 2, 5, 10, 20, 30, 60],
+    registers: [register]
+});
+
+const bookingSeconds = new client.Histogram({
+    name: 'scrapper_booking_duration_seconds',
+    help: 'End-to-end booking time, including waiting for a browser',
+    labelNames: ['outcome'],
+    buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180, 300],
+    registers: [register]
+});
+
+const browserLaunches = new client.Counter({
+    name: 'scrapper_browser_launches_total',
+    help: 'Pooled browser launches by result (success, failure)',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+const browserCrashes = new client.Counter({
+    name: 'scrapper_browser_crashes_total',
+    help: 'Pooled browsers that disconnected unexpectedly',
+    registers: [register]
+});
+
+const httpRequests = new client.Counter({
+    name: 'scrapper_http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status_code'],
+    registers: [register]
+});
+
+const httpRequestSeconds = new client.Histogram({
+    name: 'scrapper_http_request_duration_seconds',
+    help: 'HTTP request duration by method, route and status code',
+    labelNames: ['method', 'route', 'status_code'],
+    registers: [register]
+});
+
+// Queue depth: every status is reported, including empty ones
+const STATUSES = AppointmentStatus.schema.path('status').enumValues;
+
+new client.Gauge({
+    name: 'scrapper_appointments',
+    help: 'Appointment requests by status',
+    labelNames: ['status'],
+    registers: [register],
+    async collect() {
+        // Don't let a scrape wait on a database that isn't there
+        if (mongoose.connection.readyState !== 1) return;
+
+        try {
+            const counts = await AppointmentStatus.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+            this.reset();
+            for (const status of STATUSES) this.set({ status }, 0);
+            for (const { _id, count } of counts) this.set({ status: _id || 'none' }, count);
+        } catch (error) {
+            console.error('Error counting appointments for metrics:', error.message);
+        }
+    }
+});
+
+/**
+ * Route pattern of a request, so ids don't explode the label set
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+/**
+ * Express middleware recording request counts and durations
+ */
+function observeHttpRequests(req, res, next) {
+    const endTimer = httpRequestSeconds.startTimer();
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeLabel(req), status_code: res.statusCode };
+        endTimer(labels);
+        httpRequests.inc(labels);
+    });
+    next();
+}
+
+/**
+ * Current metrics in the Prometheus text format
+ * @returns {Promise<Object>} { contentType, body }
+ */
+async function getMetrics() {
+    return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = {
+    register,
+    bookingAttempts,
+    pageLoadSeconds,
+    formFillSeconds,
+    bookingSeconds,
+    browserLaunches,
+    browserCrashes,
+    observeHttpRequests,
+    getMetrics
+};
@@ -0,0 +1,65 @@
+const { statusEvents } = require('./statusEvents');
+const { notifyWebhooks } = require('./webhookService');
+const { notifyByEmail } = require('./emailService');
+const config = require('../config');
+
+let started = false;
+
+// Dispatches still running, so short-lived processes can wait for them
+const pending = new Set();
+
+/**
+ * Dispatch a status change to every notifier
+ * @param {Object} event - Event from statusEvents
+ */
+async function dispatchStatusChange(event) {
+    const results = await Promise.allSettled([
+        notifyWebhooks(event),
+        notifyByEmail(event)
+    ]);
+
+    for (const result of results) {
+        if (result.status === 'rejected') {
+            console.error(`Notification for ${event.appointment._id} failed:`, result.reason);
+        }
+    }
+}
+
+/**
+ * Dispatch a status change and keep track of it until it settles
+ * @param {Object} event - Event from statusEvents
+ */
+function trackDispatch(event) {
+    const dispatch = dispatchStatusChange(event).finally(() => pending.delete(dispatch));
+    pending.add(dispatch);
+    return dispatch;
+}
+
+/**
+ * Wait until every notification started so far has been delivered or given up on
+ */
+async function drainNotifications() {
+    while (pending.size > 0) {
+        await Promise.allSettled([...pending]);
+    }
+}
+
+/**
+ * Subscribe the webhook and email notifiers to status changes
+ */
+function startNotifications() {
+    if (started) return;
+    started = true;
+
+    if (config.webhooks.urls.length > 0 && !config.webhooks.secret) {
+        console.warn('WEBHOOK_URLS is set without WEBHOOK_SECRET; webhook signatures can be forged');
+    }
+
+    statusEvents.on('statusChanged', trackDispatch);
+}
+
+module.exports = {
+    dispatchStatusChange,
+    drainNotifications,
+    startNotifications
+};
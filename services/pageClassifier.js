@@ -0,0 +1,103 @@
+/**
+ * Page-state classifier for portal booking pages
+ *
+ * Every booking path asks this module what the current page shows instead of
+ * checking banners itself, so outcome detection lives in one place and is
+ * driven by the portal profile's markers.
+ */
+const PAGE_STATES = {
+    FORM_AVAILABLE: 'form_available',
+    ALREADY_TAKEN: 'already_taken',
+    EXPIRED: 'expired',
+    CONFIRMED: 'confirmed',
+    VALIDATION_ERROR: 'validation_error',
+    BOT_CHALLENGE: 'bot_challenge',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Checked in order; the first state with a matching marker wins.
+ * A validation error page still contains the form, and a challenge page can
+ * contain anything, so those come before the states they would mask.
+ */
+const STATE_PRECEDENCE = [
+    PAGE_STATES.BOT_CHALLENGE,
+    PAGE_STATES.CONFIRMED,
+    PAGE_STATES.ALREADY_TAKEN,
+    PAGE_STATES.EXPIRED,
+    PAGE_STATES.VALIDATION_ERROR,
+    PAGE_STATES.FORM_AVAILABLE
+];
+
+/**
+ * Build the ordered marker list for each state from a portal profile
+ * @param {Object} profile - Portal profile
+ * @returns {Array<Object>} [{ state, markers }] in precedence order
+ */
+function buildStateMarkers(profile) {
+    const formMarkers = [
+        ...(profile.form && profile.form.selector ? [{ selector: profile.form.selector }] : []),
+        ...profile.guestEntry.selectors.map(selector => ({ selector })),
+        ...Object.values(profile.fields).map(selector => ({ selector }))
+    ];
+
+    const markersByState = {
+        [PAGE_STATES.BOT_CHALLENGE]: profile.markers.challenge || [],
+        [PAGE_STATES.CONFIRMED]: profile.markers.success,
+        [PAGE_STATES.ALREADY_TAKEN]: profile.markers.booked,
+        [PAGE_STATES.EXPIRED]: profile.markers.expired,
+        [PAGE_STATES.VALIDATION_ERROR]: profile.markers.error,
+        [PAGE_STATES.FORM_AVAILABLE]: formMarkers
+    };
+
+    return STATE_PRECEDENCE.map(state => ({ state, markers: markersByState[state] }));
+}
+
+/**
+ * Runs inside the page: return the first state whose markers match.
+ * Markers with only `text` are matched against the whole page text.
+ * @param {Array<Object>} stateMarkers - Output of buildStateMarkers
+ * @returns {Object|null} { state, evidence, selector } or null
+ */
+function matchStateInDocument(stateMarkers) {
+    const bodyText = document.body ? (document.body.innerText || document.body.textContent || '') : '';
+
+    for (const { state, markers } of stateMarkers) {
+        for (const marker of markers) {
+            if (!marker.selector) {
+                if (marker.text && bodyText.includes(marker.text)) {
+                    return { state, evidence: marker.text, selector: null };
+                }
+                continue;
+            }
+
+            const element = document.querySelector(marker.selector);
+            if (!element) continue;
+
+            const text = (element.innerText || element.textContent || '').trim();
+            if (!marker.text || text.includes(marker.text)) {
+                return { state, evidence: text, selector: marker.selector };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Classify what the page currently shows
+ * @param {Object} page - Puppeteer page
+ * @param {Object} profile - Portal profile
+ * @returns {Promise<Object>} { state, evidence, selector } - state is one of PAGE_STATES
+ */
+async function classifyPage(page, profile) {
+    const match = await page.evaluate(matchStateInDocument, buildStateMarkers(profile));
+    return match || { state: PAGE_STATES.UNKNOWN, evidence: null, selector: null };
+}
+
+module.exports = {
+    PAGE_STATES,
+    STATE_PRECEDENCE,
+    buildStateMarkers,
+    classifyPage
+};
@@ -0,0 +1,565 @@
+const os = require('os');
+const crypto = require('crypto');
+const { bookTherapyAppointment } = require('../main.js');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { emitStatusChange, emitProgress } = require('./statusEvents');
+const { redactText, redactError } = require('./redactionService');
+const { INTAKE_FIELDS } = require('./intakeService');
+const { checkDuplicatesBeforeBooking } = require('./duplicateService');
+const { substituteSlot } = require('./fallbackService');
+const config = require('../config');
+
+// Result of an attempt whose lease was taken over by another worker before it finished
+const LEASE_LOST = 'lease_lost';
+
+// Identifies this process as a lease owner; unique per server instance
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Intake fields passed to the booking; the slot fields describe where to book, not who
+const SLOT_FIELDS = ['href', 'clinicianName', 'appointmentType', 'appointmentDate', 'appointmentTime', 'fallback'];
+const PATIENT_FIELDS = INTAKE_FIELDS.filter(field => !SLOT_FIELDS.includes(field));
+
+// Run currently in progress in this process, shared by concurrent callers
+let activeRun = null;
+
+// Summary of the most recent completed run in this process
+let lastRun = null;
+let currentRunStartedAt = null;
+// When the current run last finished an appointment; /readyz uses it to spot a wedged run
+let lastProgressAt = null;
+
+// Set by stopQueue: workers stop claiming and no new runs start
+let stopping = false;
+
+/**
+ * Release leases whose owner stopped heartbeating (crash, restart, hang)
+ * so the appointments become claimable again
+ * @returns {Promise<number>} Number of leases reclaimed
+ */
+async function reclaimStaleLeases() {
+    const now = new Date();
+    const result = await AppointmentStatus.updateMany(
+        { leaseOwner: { $ne: null }, leaseExpiresAt: { $lt: now } },
+        {
+            $set: { leaseOwner: null, leaseExpiresAt: null },
+            $push: AppointmentStatus.processingLogPush({
+                status: 'lease_reclaimed',
+                timestamp: now,
+                message: 'Lease expired without completion, returned to queue'
+            })
+        }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attemptCount - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(attemptCount) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.queue;
+    const exponent = Math.max(0, attemptCount - 1);
+    return Math.min(retryBaseDelayMs * Math.pow(2, exponent), retryMaxDelayMs);
+}
+
+/**
+ * Atomically claim the oldest unleased appointment waiting to be booked
+ * @param {string} owner - Lease owner id
+ * @param {Object} options
+ * @param {number} options.leaseMs - Lease duration in milliseconds
+ * @param {Array<string>} options.exclude - Ids not to claim, e.g. those already attempted in this run
+ * @param {boolean} options.dryRun - Claim for a dry run: skips records dry-run within the last retryMaxDelayMs
+ * @returns {Promise<Object|null>} Claimed appointment, or null if the queue is empty
+ */
+async function claimNextAppointment(owner, { leaseMs = config.queue.leaseMs, exclude = [], dryRun = false } = {}) {
+    const now = new Date();
+    const conditions = [
+        { $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }] },
+        { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] }
+    ];
+    if (dryRun) {
+        // Don't dry-run the same record again on every scheduler tick
+        const dryRunDueBefore = new Date(now.getTime() - config.queue.retryMaxDelayMs);
+        conditions.push({ $or: [{ lastDryRunAt: null }, { lastDryRunAt: { $lte: dryRunDueBefore } }] });
+    }
+
+    return AppointmentStatus.findOneAndUpdate(
+        {
+            status: 'unknown',
+            ...(exclude.length > 0 ? { _id: { $nin: exclude } } : {}),
+            $and: conditions
+        },
+        {
+            $set: {
+                leaseOwner: owner,
+                leaseExpiresAt: new Date(now.getTime() + leaseMs)
+            }
+        },
+        { sort: { createdAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Extend a lease we still own
+ * @param {string} id - Appointment id
+ * @param {string} owner - Lease owner id
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} False if the lease was lost to another worker
+ */
+async function renewLease(id, owner, leaseMs = config.queue.leaseMs) {
+    const result = await AppointmentStatus.updateOne(
+        { _id: id, leaseOwner: owner },
+        { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+    );
+    return result.matchedCount > 0;
+}
+
+/**
+ * Give up a lease we own
+ * @param {string} id - Appointment id
+ * @param {string} owner - Lease owner id
+ */
+async function releaseLease(id, owner) {
+    await AppointmentStatus.updateOne(
+        { _id: id, leaseOwner: owner },
+        { $set: { leaseOwner: null, leaseExpiresAt: null } }
+    );
+}
+
+/**
+ * Every intake answer about the patient, for bookTherapyAppointment to fill
+ * into the portal form or its notes box
+ * @param {Object} appointment - AppointmentStatus document
+ * @returns {Object} Patient info
+ */
+function patientInfoFromAppointment(appointment) {
+    const patient = {};
+    for (const field of PATIENT_FIELDS) {
+        const value = appointment[field];
+        if (value === undefined || value === null) continue;
+        patient[field] = Array.isArray(value) ? [...value] : value;
+    }
+    return patient;
+}
+
+/**
+ * Fill the portal form for an appointment without submitting it.
+ * The record's status and attempt counters are left untouched.
+ * @param {Object} appointment - AppointmentStatus document
+ * @returns {Promise<Object>} Booking result with the dry-run report
+ */
+async function dryRunAppointment(appointment) {
+    const started = { status: 'dry_run_started', timestamp: new Date(), message: `Dry run for ${appointment.href}` };
+
+    const result = await bookTherapyAppointment(
+        appointment.href,
+        patientInfoFromAppointment(appointment),
+        { appointmentId: appointment._id.toString(), attempt: 0, dryRun: true }
+    );
+
+    await AppointmentStatus.appendProcessingLog(appointment._id, [
+        started,
+        ...(result.processingLog || []),
+        { status: 'dry_run_finished', message: `Result: ${result.status}${result.error ? ` (${result.error})` : ''}` }
+    ]);
+
+    return result;
+}
+
+/**
+ * Book one appointment and record the outcome
+ * @param {Object} appointmentDetails - AppointmentStatus document
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Fill forms without submitting (defaults to config.booking.dryRun)
+ * @param {string} options.owner - Lease owner; the outcome is only written while this owner holds the lease
+ * @param {AbortSignal} options.signal - Aborted when the lease is lost, so the booking is not submitted
+ * @returns {Promise<string>} The record's resulting status, or LEASE_LOST
+ */
+async function bookAppointment(appointmentDetails, { dryRun = config.booking.dryRun, owner = null, signal } = {}) {
+    if (dryRun) return dryRunQueuedAppointment(appointmentDetails);
+
+    const attempt = (appointmentDetails.attemptCount || 0) + 1;
+    const attemptStart = { status: 'attempt_started', timestamp: new Date(), message: `Booking ${appointmentDetails.href}` };
+
+    try {
+        const { proceed } = await checkDuplicatesBeforeBooking(appointmentDetails);
+        if (!proceed) return 'cancelled';
+
+        emitProgress(appointmentDetails._id, 'booking_started', `Booking attempt ${attempt} of ${config.queue.maxAttempts}`);
+        const result = await bookTherapyAppointment(
+            appointmentDetails.href, // Use the href field from appointmentDetails
+            patientInfoFromAppointment(appointmentDetails),
+            {
+                appointmentId: appointmentDetails._id.toString(),
+                attempt,
+                dryRun: false,
+                signal,
+                onProgress: (step, message) => emitProgress(appointmentDetails._id, step, message)
+            }
+        );
+
+        await AppointmentStatus.appendProcessingLog(appointmentDetails._id, [
+            attemptStart,
+            ...(result.processingLog || []),
+            { status: 'attempt_finished', message: `Result: ${result.status}${result.error ? ` (${result.error})` : ''}` }
+        ]);
+
+        return await recordAttemptOutcome(appointmentDetails, result.status, result.error || result.message, { owner });
+    } catch (error) {
+        console.error('Error booking appointment:', redactError(error));
+        await AppointmentStatus.appendProcessingLog(appointmentDetails._id, [
+            attemptStart,
+            { status: 'error', message: redactText(error.message) }
+        ]).catch(logError => console.error('Error writing processing log:', redactError(logError)));
+        return recordAttemptOutcome(appointmentDetails, 'error', redactText(error.message), { owner })
+            .catch(updateError => {
+                console.error('Error recording attempt outcome:', redactError(updateError));
+                return 'error';
+            });
+    }
+}
+
+/**
+ * Dry-run a queued appointment. Status, attempt counters and nextAttemptAt
+ * stay as they are; only lastDryRunAt is set, which keeps claimNextAppointment
+ * from dry-running the record again for retryMaxDelayMs.
+ * @param {Object} appointment - Claimed appointment document
+ * @returns {Promise<string>} Result status of the dry run, 'error' if it threw
+ */
+async function dryRunQueuedAppointment(appointment) {
+    let status;
+    try {
+        status = (await dryRunAppointment(appointment)).status;
+    } catch (error) {
+        console.error('Error dry-running appointment:', redactError(error));
+        await AppointmentStatus.appendProcessingLog(appointment._id, { status: 'dry_run_error', message: redactText(error.message) })
+            .catch(logError => console.error('Error writing processing log:', redactError(logError)));
+        status = 'error';
+    }
+
+    await AppointmentStatus.updateOne({ _id: appointment._id }, { $set: { lastDryRunAt: new Date() } })
+        .catch(error => console.error('Error recording dry run:', redactError(error)));
+    return status;
+}
+
+/**
+ * Update attempt counters and status after a booking attempt
+ * @param {Object} appointment - Appointment that was attempted
+ * @param {string} resultStatus - Status returned by bookTherapyAppointment
+ * @param {string} errorMessage - Error text for failed attempts
+ * @param {Object} options
+ * @param {string} options.owner - Lease owner; when set, nothing is written unless it still holds the lease
+ * @returns {Promise<string>} The record's resulting status, or LEASE_LOST when the lease had moved on
+ */
+async function recordAttemptOutcome(appointment, resultStatus, errorMessage, { owner = null } = {}) {
+    const now = new Date();
+    const filter = owner ? { _id: appointment._id, leaseOwner: owner } : { _id: appointment._id };
+
+    // A taken or expired slot is swapped for the next one the patient accepts, if any
+    if ((resultStatus === 'booked' || resultStatus === 'expired') && appointment.fallback) {
+        const substituted = await substituteSlot(appointment, {
+            reason: resultStatus === 'booked' ? 'taken' : 'expired',
+            set: { lastAttemptAt: now, lastOutcome: resultStatus },
+            leaseOwner: owner
+        });
+        if (substituted) return 'unknown';
+    }
+
+    const attemptCount = (appointment.attemptCount || 0) + 1;
+    const update = {
+        attemptCount,
+        lastAttemptAt: now,
+        lastOutcome: resultStatus
+    };
+
+    // A confirmed request and a slot someone else already holds are both final
+    if (resultStatus === 'success' || resultStatus === 'booked') {
+        update.status = 'booked';
+        update.lastError = null;
+        update.nextAttemptAt = null;
+    } else if (resultStatus === 'expired') {
+        update.status = 'expired';
+        update.nextAttemptAt = null;
+    } else {
+        update.lastError = errorMessage || 'Unknown error';
+
+        if (attemptCount >= config.queue.maxAttempts) {
+            update.status = 'failed';
+            update.nextAttemptAt = null;
+        } else {
+            update.nextAttemptAt = new Date(now.getTime() + computeRetryDelay(attemptCount));
+        }
+    }
+
+    const updated = await AppointmentStatus.findOneAndUpdate(filter, update, { new: true });
+    if (owner && !updated) {
+        // Another worker reclaimed the record; its outcome is the one that counts
+        console.error(`Lost lease on appointment ${appointment._id}, ${resultStatus} outcome not recorded`);
+        return LEASE_LOST;
+    }
+
+    if (update.status === 'failed') {
+        await AppointmentStatus.appendProcessingLog(appointment._id, {
+            status: 'failed',
+            message: `Giving up after ${attemptCount} attempts: ${update.lastError}`
+        });
+    } else if (update.nextAttemptAt) {
+        const message = `Attempt ${attemptCount} of ${config.queue.maxAttempts} failed, next attempt at ${update.nextAttemptAt.toISOString()}`;
+        await AppointmentStatus.appendProcessingLog(appointment._id, { status: 'retry_scheduled', message });
+        emitProgress(appointment._id, 'retry_scheduled', message);
+    }
+
+    if (update.status && updated) {
+        emitStatusChange(updated, appointment.status, update.status, {
+            outcome: resultStatus,
+            error: update.lastError || null
+        });
+    }
+
+    return update.status || 'unknown';
+}
+
+/**
+ * Put an appointment back in the queue with a fresh attempt budget
+ * @param {string} id - Appointment id
+ * @param {Object} options
+ * @param {boolean} options.ignoreDuplicates - Book it even if it looks like a duplicate patient
+ * @returns {Promise<Object|null>} Updated appointment, or null if it is not requeueable
+ */
+async function requeueAppointment(id, { ignoreDuplicates = false } = {}) {
+    const update = {
+        status: 'unknown',
+        attemptCount: 0,
+        lastError: null,
+        nextAttemptAt: null
+    };
+    if (ignoreDuplicates) {
+        update.ignoreDuplicates = true;
+        update.duplicateOf = null;
+    }
+
+    const previous = await AppointmentStatus.findOneAndUpdate(
+        { _id: id, status: { $in: ['failed', 'unknown', 'cancelled'] } },
+        { $set: update },
+        { new: false }
+    ).select('status');
+
+    if (!previous) return null;
+
+    await AppointmentStatus.appendProcessingLog(id, {
+        status: 'requeued',
+        message: ignoreDuplicates
+            ? 'Manually requeued with a fresh attempt budget, duplicate checks skipped'
+            : 'Manually requeued with a fresh attempt budget'
+    });
+
+    const appointment = await AppointmentStatus.findById(id).select('-__v');
+    emitStatusChange(appointment, previous.status, 'unknown', { outcome: 'requeued' });
+    emitProgress(id, 'queued', 'Waiting for a booking worker');
+
+    return appointment;
+}
+
+/**
+ * Book a claimed appointment while keeping its lease alive
+ * @param {Object} appointment - Claimed appointment document
+ * @param {string} owner - Lease owner id
+ * @param {Object} options - Passed through to bookAppointment
+ * @returns {Promise<string>} Booking status
+ */
+async function processClaimedAppointment(appointment, owner, options) {
+    // Aborted when another worker has taken the record over, so this one doesn't submit too
+    const lease = new AbortController();
+    const heartbeat = setInterval(() => {
+        renewLease(appointment._id, owner).then(stillOwned => {
+            if (!stillOwned) {
+                console.error(`Lost lease on appointment ${appointment._id} while booking, stopping the attempt`);
+                clearInterval(heartbeat);
+                lease.abort();
+            }
+        }).catch(error => console.error('Error renewing lease:', redactError(error)));
+    }, config.queue.heartbeatMs);
+
+    try {
+        return await bookAppointment(appointment, { ...options, owner, signal: lease.signal });
+    } finally {
+        clearInterval(heartbeat);
+        await releaseLease(appointment._id, owner)
+            .catch(error => console.error('Error releasing lease:', redactError(error)));
+    }
+}
+
+/**
+ * Single worker loop - keeps claiming until nothing is left
+ * @param {string} owner - Lease owner id
+ * @param {Set<string>} seen - Ids already attempted during this run
+ * @param {Object} options - Passed through to bookAppointment; dryRun also narrows the claim
+ * @returns {Promise<Array<Object>>} Results of the appointments this worker handled
+ */
+async function runWorker(owner, seen, options) {
+    const results = [];
+
+    while (!stopping) {
+        // An appointment that stays 'unknown' would otherwise be re-claimed
+        // forever within the same run
+        const appointment = await claimNextAppointment(owner, { exclude: [...seen], dryRun: options.dryRun });
+        if (!appointment) break;
+
+        const id = appointment._id.toString();
+        seen.add(id);
+
+        console.log(`Processing appointment ${id}`);
+        const status = await processClaimedAppointment(appointment, owner, options);
+        console.log(`Appointment processing completed with status: ${status}`);
+        results.push({ id, status });
+        lastProgressAt = new Date();
+    }
+
+    return results;
+}
+
+/**
+ * Process every claimable appointment with a bounded number of workers.
+ * Safe to run on several server instances at once: each appointment is
+ * claimed with a lease in Mongo before it is booked.
+ * @param {Object} options
+ * @param {number} options.concurrency - Parallel workers for this run
+ * @param {string} options.trigger - What started the run ('scheduler', 'api', ...)
+ * @param {boolean} options.dryRun - Fill forms without submitting (defaults to config.booking.dryRun)
+ * @returns {Promise<Array<Object>>} Per-appointment results
+ */
+function processQueue({
+    concurrency = config.queue.concurrency,
+    trigger = 'manual',
+    dryRun = config.booking.dryRun
+} = {}) {
+    if (activeRun) return activeRun;
+    if (stopping) return Promise.resolve([]);
+
+    currentRunStartedAt = new Date();
+    lastProgressAt = currentRunStartedAt;
+
+    activeRun = (async () => {
+        let results = [];
+        let runError = null;
+
+        try {
+            const reclaimed = await reclaimStaleLeases();
+            if (reclaimed > 0) {
+                console.log(`Reclaimed ${reclaimed} stale appointment leases`);
+            }
+
+            const seen = new Set();
+            const workers = Array.from(
+                { length: Math.max(1, concurrency) },
+                (_, index) => runWorker(`${WORKER_ID}#${index}`, seen, { dryRun })
+            );
+            results = (await Promise.all(workers)).flat();
+
+            if (results.length > 0) {
+                console.log(`Processed ${results.length} appointments`);
+            }
+            return results;
+        } catch (error) {
+            console.error('Error processing queue:', redactError(error));
+            runError = error.message;
+            return results;
+        } finally {
+            lastRun = {
+                trigger,
+                dryRun,
+                startedAt: currentRunStartedAt,
+                finishedAt: new Date(),
+                processed: results.length,
+                results,
+                error: runError
+            };
+            currentRunStartedAt = null;
+            lastProgressAt = null;
+            activeRun = null;
+        }
+    })();
+
+    return activeRun;
+}
+
+/**
+ * Snapshot of the queue for monitoring
+ * @returns {Promise<Object>} Run state of this process and record counts from Mongo
+ */
+async function getQueueStatus() {
+    const now = new Date();
+    const [pending, waitingRetry, inFlight, failed] = await Promise.all([
+        AppointmentStatus.countDocuments({
+            status: 'unknown',
+            $and: [
+                { $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }] },
+                { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] }
+            ]
+        }),
+        AppointmentStatus.countDocuments({
+            status: 'unknown',
+            nextAttemptAt: { $gt: now },
+            $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+        }),
+        AppointmentStatus.countDocuments({ leaseOwner: { $ne: null }, leaseExpiresAt: { $gte: now } }),
+        AppointmentStatus.countDocuments({ status: 'failed' })
+    ]);
+
+    return {
+        workerId: WORKER_ID,
+        running: !!activeRun,
+        currentRunStartedAt,
+        lastProgressAt,
+        lastRun,
+        counts: { pending, waitingRetry, inFlight, failed }
+    };
+}
+
+/**
+ * Whether this process is currently running the queue
+ * @returns {boolean}
+ */
+function isQueueRunning() {
+    return !!activeRun;
+}
+
+/**
+ * Run state of this process without touching Mongo, for health checks
+ * @returns {Object} { running, stopping, currentRunStartedAt, lastProgressAt }
+ */
+function getQueueRunState() {
+    return { running: !!activeRun, stopping, currentRunStartedAt, lastProgressAt };
+}
+
+/**
+ * Stop taking on work: workers finish the booking they hold but claim no
+ * more, and later processQueue calls do nothing
+ * @returns {Promise<Array<Object>>} Settles when the run in progress (if any) has finished
+ */
+function stopQueue() {
+    stopping = true;
+    return activeRun || Promise.resolve([]);
+}
+
+module.exports = {
+    WORKER_ID,
+    LEASE_LOST,
+    processClaimedAppointment,
+    bookAppointment,
+    dryRunAppointment,
+    patientInfoFromAppointment,
+    computeRetryDelay,
+    recordAttemptOutcome,
+    requeueAppointment,
+    claimNextAppointment,
+    renewLease,
+    releaseLease,
+    reclaimStaleLeases,
+    processQueue,
+    getQueueStatus,
+    getQueueRunState,
+    isQueueRunning,
+    stopQueue
+};
@@ -0,0 +1,118 @@
+const config = require('../config');
+
+const REDACTED = '[redacted]';
+
+/**
+ * How each patient field is masked for callers without a privileged role.
+ * Contact details keep enough to recognise a record; clinical free text
+ * is removed entirely.
+ */
+const MASKS = {
+    dateOfBirth: value => value.replace(/\d/g, '*'),
+    memberId: value => (value.length > 4 ? `${'*'.repeat(value.length - 4)}${value.slice(-4)}` : '*'.repeat(value.length)),
+    email: value => {
+        const [local, domain] = value.split('@');
+        return domain ? `${local.charAt(0)}***@${domain}` : REDACTED;
+    },
+    phone: value => {
+        const digits = value.replace(/\D/g, '');
+        return digits.length > 4 ? `***-***-${digits.slice(-4)}` : REDACTED;
+    },
+    mentalHealthDiagnosis: () => REDACTED,
+    reasonForTherapy: () => REDACTED,
+    medicationHistory: () => REDACTED,
+    comments: () => REDACTED
+};
+
+// Patterns scrubbed from log lines and error messages
+const LOG_PATTERNS = [
+    [/[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi, '[email]'],
+    [/\b\d{1,2}\/\d{1,2}\/\d{4}\b/g, '[date]'],
+    [/(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g, '[phone]']
+];
+
+/**
+ * Whether a role may see unmasked patient data
+ * @param {string} role - Caller's role
+ * @returns {boolean}
+ */
+function isPrivileged(role) {
+    return !!role && config.redaction.privilegedRoles.includes(role);
+}
+
+/**
+ * Mask one field value
+ * @param {string} field - Field name
+ * @param {*} value - Plain value
+ * @returns {*} Masked value; fields without a mask and empty values are returned unchanged
+ */
+function maskValue(field, value) {
+    const mask = MASKS[field];
+    if (!mask || value === undefined || value === null || value === '') return value;
+    return mask(String(value));
+}
+
+/**
+ * Plain copy of an appointment safe to return to the caller
+ * @param {Object} appointment - AppointmentStatus document or plain object
+ * @param {Object} options
+ * @param {boolean} options.privileged - Return the values unmasked
+ * @returns {Object}
+ */
+function redactAppointment(appointment, { privileged = false } = {}) {
+    const data = typeof appointment.toJSON === 'function' ? appointment.toJSON() : { ...appointment };
+    if (privileged) return data;
+
+    for (const field of Object.keys(MASKS)) {
+        if (field in data) {
+            data[field] = maskValue(field, data[field]);
+        }
+    }
+    // Step messages and errors can quote page text with patient details
+    if (data.lastError) data.lastError = redactText(data.lastError);
+    if (Array.isArray(data.processingLog)) data.processingLog = redactProcessingLog(data.processingLog);
+    return data;
+}
+
+/**
+ * Processing log entries with patient details scrubbed from their messages
+ * @param {Array<Object>} entries - processingLog entries
+ * @returns {Array<Object>} { status, timestamp, message } copies
+ */
+function redactProcessingLog(entries) {
+    return entries.map(entry => ({
+        status: entry.status,
+        timestamp: entry.timestamp,
+        message: entry.message ? redactText(entry.message) : entry.message
+    }));
+}
+
+/**
+ * Remove email addresses, dates and phone numbers from free text
+ * @param {string} text - Log line or error message
+ * @returns {string}
+ */
+function redactText(text) {
+    return LOG_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text));
+}
+
+/**
+ * Loggable form of an error with patient data scrubbed from its message.
+ * Errors from Mongo and the browser can quote the values they choked on.
+ * @param {*} error - Caught error
+ * @returns {string}
+ */
+function redactError(error) {
+    if (!(error instanceof Error)) return redactText(error);
+    return redactText(error.stack || `${error.name}: ${error.message}`);
+}
+
+module.exports = {
+    REDACTED,
+    isPrivileged,
+    maskValue,
+    redactAppointment,
+    redactProcessingLog,
+    redactText,
+    redactError
+};
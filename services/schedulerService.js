@@ -0,0 +1,99 @@
+/**
+ * Minimal interval scheduler for background jobs (queue processing, sweeps).
+ * A job never overlaps with itself: a tick is skipped while the previous one
+ * is still running.
+ */
+const jobs = new Map();
+
+/**
+ * Register and start a recurring job
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Time between ticks in milliseconds
+ * @param {Function} task - Async function to run on every tick
+ * @param {Object} options
+ * @param {boolean} options.runImmediately - Run once right away instead of waiting a full interval
+ */
+function scheduleJob(name, intervalMs, task, { runImmediately = true } = {}) {
+    if (jobs.has(name)) {
+        throw new Error(`Job '${name}' is already scheduled`);
+    }
+
+    const job = {
+        name,
+        intervalMs,
+        running: false,
+        lastStartedAt: null,
+        lastFinishedAt: null,
+        lastError: null,
+        timer: null,
+        current: null
+    };
+
+    const tick = () => {
+        if (job.running) return job.current;
+        job.running = true;
+        job.lastStartedAt = new Date();
+        job.current = (async () => {
+            try {
+                await task();
+                job.lastError = null;
+            } catch (error) {
+                console.error(`Scheduled job '${name}' failed:`, error);
+                job.lastError = error.message;
+            } finally {
+                job.running = false;
+                job.current = null;
+                job.lastFinishedAt = new Date();
+            }
+        })();
+        return job.current;
+    };
+
+    job.timer = setInterval(tick, intervalMs);
+    // Don't keep the process alive just for the scheduler
+    job.timer.unref();
+    jobs.set(name, job);
+
+    if (runImmediately) tick();
+}
+
+/**
+ * Stop a job; a tick already in progress is allowed to finish
+ * @param {string} name - Job name
+ * @returns {Promise<void>} Settles when the tick in progress (if any) has finished
+ */
+function stopJob(name) {
+    const job = jobs.get(name);
+    if (!job) return Promise.resolve();
+    clearInterval(job.timer);
+    jobs.delete(name);
+    return Promise.resolve(job.current);
+}
+
+/**
+ * Stop every scheduled job
+ * @returns {Promise<void>} Settles when every tick in progress has finished
+ */
+async function stopAllJobs() {
+    await Promise.all([...jobs.keys()].map(stopJob));
+}
+
+/**
+ * State of a scheduled job
+ * @param {string} name - Job name
+ * @returns {Object|null} Job state, or null if no such job is scheduled
+ */
+function getJobStatus(name) {
+    const job = jobs.get(name);
+    if (!job) return null;
+
+    const { timer, current, ...status } = job;
+    return status;
+}
+
+module.exports = {
+    scheduleJob,
+    stopJob,
+    stopAllJobs,
+    getJobStatus
+};
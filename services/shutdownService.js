@@ -0,0 +1,99 @@
+const { stopQueue } = require('./queueService');
+const { stopAllJobs } = require('./schedulerService');
+const { shutdownBrowserPool } = require('./browserPool');
+const { drainNotifications } = require('./notificationService');
+const { closeEventStreams, drainEventRelay } = require('./eventStreamService');
+const { disconnectDatabase } = require('./database');
+const { redactError } = require('./redactionService');
+const config = require('../config');
+
+/**
+ * Graceful shutdown for SIGTERM/SIGINT
+ *
+ * New work is refused first (HTTP connections, scheduled jobs, queue claims),
+ * then in-flight bookings get until the deadline to finish. Whatever is still
+ * running after that is cut off by closing the browsers; those bookings are
+ * recorded as failed attempts and retried by the next instance.
+ */
+
+// Time given to cut-off bookings and notifications once the deadline has passed
+const GRACE_MS = 5000;
+
+let shutdown = null;
+
+/**
+ * Whether a shutdown has started
+ * @returns {boolean}
+ */
+function isShuttingDown() {
+    return !!shutdown;
+}
+
+/**
+ * Wait for a promise, but no later than a deadline
+ * @param {Promise} promise
+ * @param {number} deadline - Epoch milliseconds
+ * @returns {Promise<boolean>} true if the promise settled in time
+ */
+function settlesBy(promise, deadline) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, Math.max(0, deadline - Date.now()), false);
+    });
+    return Promise.race([promise.then(() => true, () => true), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Stop accepting work, let in-flight work finish and release every resource.
+ * Calling it again returns the shutdown already in progress.
+ * @param {Object} server - HTTP server returned by app.listen
+ * @param {Object} options
+ * @param {string} options.signal - Signal that triggered the shutdown, for the log
+ * @param {number} options.timeoutMs - How long in-flight bookings may take
+ * @returns {Promise<Object>} { drained } - false if bookings had to be cut off
+ */
+function gracefulShutdown(server, { signal = 'shutdown', timeoutMs = config.shutdown.timeoutMs } = {}) {
+    if (shutdown) return shutdown;
+
+    shutdown = (async () => {
+        const deadline = Date.now() + timeoutMs;
+        console.log(`${signal} received; waiting up to ${timeoutMs}ms for in-flight work`);
+
+        if (server) {
+            server.close();
+            server.closeIdleConnections();
+        }
+        // Open event streams would hold their connections until exit; clients reconnect elsewhere
+        closeEventStreams();
+
+        const work = Promise.all([stopAllJobs(), stopQueue()]);
+        const drained = await settlesBy(work, deadline);
+        if (!drained) {
+            console.warn('Shutdown deadline reached; closing browsers under in-flight bookings');
+        }
+
+        await shutdownBrowserPool({ permanent: true });
+        if (!drained) {
+            // Lets cut-off bookings record their outcome before the database goes away
+            await settlesBy(work, Date.now() + GRACE_MS);
+        }
+
+        await settlesBy(
+            Promise.all([drainNotifications(), drainEventRelay()]),
+            Math.max(deadline, Date.now() + GRACE_MS)
+        );
+        await disconnectDatabase()
+            .catch(error => console.error('Error closing the database connection:', redactError(error)));
+
+        console.log('Shutdown complete');
+        return { drained };
+    })();
+
+    return shutdown;
+}
+
+module.exports = {
+    isShuttingDown,
+    gracefulShutdown
+};
@@ -0,0 +1,223 @@
+const Slot = require('../models/Slot');
+const { resolvePortalProfile, loadPortalProfile } = require('../portals');
+const { PAGE_STATES, classifyPage } = require('./pageClassifier');
+const { acquirePage } = require('./browserPool');
+const { extractClinicianId } = require('./intakeService');
+const { parseAppointmentDateTime } = require('./slotTimeService');
+const config = require('../config');
+
+/**
+ * Availability crawler
+ *
+ * Walks each clinician's availability pages as described by the portal
+ * profile's `availability` section, and keeps the Slot collection in step
+ * with what the portal offers: new slots are added, slots seen again get a
+ * new lastSeenAt, and slots a crawl no longer finds get goneAt.
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * First availability page of a clinician
+ * @param {Object} profile - Portal profile with an availability section
+ * @param {string} baseUrl - Portal base URL, e.g. https://www.therapyportal.com/p/demo
+ * @param {string} clinicianId - Clinician id
+ * @returns {string}
+ */
+function buildAvailabilityUrl(profile, baseUrl, clinicianId) {
+    return profile.availability.url
+        .replace('{baseUrl}', String(baseUrl).replace(/\/+$/, ''))
+        .replace('{clinicianId}', encodeURIComponent(clinicianId));
+}
+
+/**
+ * Runs inside the page: read the clinician name, every slot and the next page link
+ * @param {Object} availability - Profile availability section
+ * @returns {Object} { clinicianName, slots, nextUrl }
+ */
+function extractSlotsInDocument(availability) {
+    const textOf = element => (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+
+    const read = (root, spec) => {
+        if (!spec) return '';
+        let element = spec.closest ? root.closest(spec.closest) : root;
+        if (element && spec.selector) element = element.querySelector(spec.selector);
+        if (!element) return '';
+        return spec.attribute ? (element.getAttribute(spec.attribute) || '').trim() : textOf(element);
+    };
+
+    const fields = availability.slotFields || {};
+    const slots = Array.from(document.querySelectorAll(availability.slots)).map(element => {
+        const link = element.href ? element : element.querySelector('a[href]');
+        const slot = { href: link ? link.href : '' };
+        for (const [field, spec] of Object.entries(fields)) {
+            slot[field] = read(element, spec);
+        }
+        return slot;
+    });
+
+    const next = availability.next ? document.querySelector(availability.next) : null;
+
+    return {
+        clinicianName: read(document.documentElement, availability.clinicianName),
+        slots,
+        nextUrl: next && next.href ? next.href : null
+    };
+}
+
+/**
+ * Turn raw extracted slots into Slot fields, dropping ones without a usable href
+ * @param {Array<Object>} rawSlots - Output of extractSlotsInDocument
+ * @param {Object} context
+ * @param {string} context.clinicianId - Clinician being crawled; used when the href has none
+ * @param {string} context.clinicianName - Name found on the page
+ * @param {string} context.portal - Portal profile name
+ * @returns {Array<Object>}
+ */
+function normalizeSlots(rawSlots, { clinicianId, clinicianName = null, portal = null }) {
+    const slots = new Map();
+
+    for (const raw of rawSlots) {
+        if (!/^https?:\/\//i.test(raw.href || '') || slots.has(raw.href)) continue;
+
+        const appointmentDate = raw.appointmentDate || null;
+        const appointmentTime = raw.appointmentTime || null;
+        slots.set(raw.href, {
+            href: raw.href,
+            clinicianId: extractClinicianId(raw.href) || String(clinicianId),
+            clinicianName: raw.clinicianName || clinicianName || null,
+            appointmentType: raw.appointmentType || null,
+            appointmentDate,
+            appointmentTime,
+            appointmentAt: parseAppointmentDateTime(appointmentDate, appointmentTime, config.expiry.timeZone),
+            portal
+        });
+    }
+
+    return [...slots.values()];
+}
+
+/**
+ * Read every availability page of one clinician
+ * @param {Object} profile - Portal profile with an availability section
+ * @param {string} baseUrl - Portal base URL
+ * @param {string} clinicianId - Clinician id
+ * @returns {Promise<Object>} { clinicianName, slots, pages, complete } - complete is false when maxPages cut the walk short
+ */
+async function crawlClinicianPages(profile, baseUrl, clinicianId) {
+    const { availability } = profile;
+    const maxPages = availability.maxPages || 1;
+    const visited = new Set();
+    const rawSlots = [];
+    let clinicianName = '';
+    let url = buildAvailabilityUrl(profile, baseUrl, clinicianId);
+
+    const { page, browser, release } = await acquirePage();
+    try {
+        while (url && !visited.has(url) && visited.size < maxPages) {
+            if (visited.size > 0) await delay(config.crawler.pageDelayMs);
+            visited.add(url);
+
+            await page.goto(url, { waitUntil: 'networkidle0', timeout: 60000 });
+
+            const pageState = await classifyPage(page, profile);
+            if (pageState.state === PAGE_STATES.BOT_CHALLENGE) {
+                throw new Error(`Availability page ${url} is behind a bot challenge`);
+            }
+
+            const result = await page.evaluate(extractSlotsInDocument, availability);
+            clinicianName = clinicianName || result.clinicianName;
+            rawSlots.push(...result.slots);
+            url = result.nextUrl;
+        }
+    } finally {
+        await release({ crashed: !browser.connected });
+    }
+
+    return {
+        clinicianName: clinicianName || null,
+        slots: normalizeSlots(rawSlots, { clinicianId, clinicianName, portal: profile.name }),
+        pages: visited.size,
+        complete: !url || visited.has(url)
+    };
+}
+
+/**
+ * Store the slots one crawl of a clinician found
+ * @param {string} clinicianId - Clinician id
+ * @param {Array<Object>} slots - Output of normalizeSlots
+ * @param {Object} options
+ * @param {Date} options.seenAt - When the crawl ran
+ * @param {boolean} options.complete - Every page was read; otherwise only slots up to the last one seen can be called gone
+ * @returns {Promise<Object>} { seen, added, gone }
+ */
+async function recordSlots(clinicianId, slots, { seenAt = new Date(), complete = true } = {}) {
+    let added = 0;
+    if (slots.length > 0) {
+        const result = await Slot.bulkWrite(slots.map(slot => ({
+            updateOne: {
+                filter: { href: slot.href },
+                update: {
+                    $set: { ...slot, lastSeenAt: seenAt, goneAt: null },
+                    $setOnInsert: { firstSeenAt: seenAt }
+                },
+                upsert: true
+            }
+        })));
+        added = result.upsertedCount;
+    }
+
+    const goneFilter = { clinicianId: String(clinicianId), goneAt: null, lastSeenAt: { $lt: seenAt } };
+    if (!complete) {
+        const times = slots.map(slot => slot.appointmentAt).filter(Boolean);
+        if (times.length === 0) return { seen: slots.length, added, gone: 0 };
+        goneFilter.appointmentAt = { $ne: null, $lte: new Date(Math.max(...times)) };
+    }
+    const gone = await Slot.updateMany(goneFilter, { $set: { goneAt: seenAt } });
+
+    return { seen: slots.length, added, gone: gone.modifiedCount };
+}
+
+/**
+ * Crawl the availability of several clinicians one after another.
+ * A clinician that fails is reported and skipped; its slots are left as they were.
+ * @param {Object} options
+ * @param {string} options.baseUrl - Portal base URL
+ * @param {Array<string>} options.clinicianIds - Clinicians to crawl
+ * @param {string|Object} options.profile - Portal profile; picked from baseUrl by default
+ * @returns {Promise<Array<Object>>} Per clinician: { clinicianId, clinicianName, pages, seen, added, gone } or { clinicianId, error }
+ */
+async function crawlAvailability({
+    baseUrl = config.crawler.baseUrl,
+    clinicianIds = config.crawler.clinicianIds,
+    profile
+} = {}) {
+    const portalProfile = profile ? loadPortalProfile(profile) : resolvePortalProfile(baseUrl);
+    if (!portalProfile.availability) {
+        throw new Error(`Portal profile '${portalProfile.name}' has no availability section`);
+    }
+
+    const results = [];
+    for (const clinicianId of clinicianIds) {
+        const seenAt = new Date();
+        try {
+            const crawl = await crawlClinicianPages(portalProfile, baseUrl, clinicianId);
+            const counts = await recordSlots(clinicianId, crawl.slots, { seenAt, complete: crawl.complete });
+            console.log(`Crawled clinician ${clinicianId}: ${counts.seen} open slots (${counts.added} new, ${counts.gone} gone) on ${crawl.pages} pages`);
+            results.push({ clinicianId, clinicianName: crawl.clinicianName, pages: crawl.pages, ...counts });
+        } catch (error) {
+            console.error(`Error crawling availability of clinician ${clinicianId}:`, error.message);
+            results.push({ clinicianId, error: error.message });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    buildAvailabilityUrl,
+    extractSlotsInDocument,
+    normalizeSlots,
+    crawlClinicianPages,
+    recordSlots,
+    crawlAvailability
+};
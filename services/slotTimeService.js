@@ -0,0 +1,177 @@
+/**
+ * Parsing of the free-form appointmentDate / appointmentTime strings into a
+ * real timestamp, interpreted as wall-clock time in the practice's time zone
+ */
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+/**
+ * Parse a date string
+ * Accepts MM/DD/YYYY, YYYY-MM-DD and "[Weekday,] Month D, YYYY" (full or short month names)
+ * @param {string} value - Date string
+ * @returns {Object|null} { year, month, day }
+ */
+function parseSlotDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    let match;
+
+    if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+        return validDate(Number(match[3]), Number(match[1]), Number(match[2]));
+    }
+
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+        return validDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+
+    // "Monday, March 10, 2025", "Mar 10 2025"
+    if ((match = text.match(/([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/))) {
+        const month = MONTHS[match[1].slice(0, 3).toLowerCase()];
+        if (!month) return null;
+        return validDate(Number(match[3]), month, Number(match[2]));
+    }
+
+    return null;
+}
+
+/**
+ * Parse a time string
+ * Accepts "10:00 AM", "10am", "10:00a.m.", "14:30"; a range like "10:00 AM - 10:50 AM" uses its start
+ * @param {string} value - Time string
+ * @returns {Object|null} { hour, minute } in 24-hour time
+ */
+function parseSlotTime(value) {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?/);
+    if (!match) return null;
+
+    let hour = Number(match[1]);
+    const minute = match[2] ? Number(match[2]) : 0;
+    const meridiem = match[3];
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        if (meridiem === 'p' && hour !== 12) hour += 12;
+        if (meridiem === 'a' && hour === 12) hour = 0;
+    } else if (!match[2]) {
+        // A bare number without minutes or am/pm is too ambiguous to trust
+        return null;
+    }
+
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+/**
+ * Reject dates like 02/31/2025
+ */
+function validDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return { year, month, day };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function timeZoneOffset(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(timestamp));
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+    const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a Date
+ * @returns {Date}
+ */
+function zonedTimeToDate({ year, month, day }, { hour, minute }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = timeZoneOffset(wallClock, timeZone);
+    let timestamp = wallClock - offset;
+
+    // Around DST changes the offset at the real instant can differ from the guess
+    const correctedOffset = timeZoneOffset(timestamp, timeZone);
+    if (correctedOffset !== offset) {
+        timestamp = wallClock - correctedOffset;
+    }
+
+    return new Date(timestamp);
+}
+
+/**
+ * Combine an appointment's date and time strings into a timestamp
+ * @param {string} appointmentDate - Free-form date
+ * @param {string} appointmentTime - Free-form time; the date may also carry it after a comma or "at"
+ * @param {string} timeZone - Practice time zone (IANA name)
+ * @returns {Date|null} Slot start, or null if the strings can't be parsed
+ */
+function parseAppointmentDateTime(appointmentDate, appointmentTime, timeZone) {
+    const date = parseSlotDate(appointmentDate);
+    if (!date) return null;
+
+    let time = parseSlotTime(appointmentTime);
+    if (!time && appointmentDate) {
+        // "03/10/2025 10:00 AM", "March 10, 2025 at 10:00 AM"
+        const trailing = String(appointmentDate).match(/(\d{1,2}:\d{2}\s*(?:[ap]\.?m\.?)?)\s*$/i);
+        time = trailing ? parseSlotTime(trailing[1]) : null;
+    }
+    if (!time) return null;
+
+    return zonedTimeToDate(date, time, timeZone);
+}
+
+/**
+ * Wall-clock reading of a timestamp in a time zone
+ * @param {Date} date - Timestamp
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { year, month, day, hour, minute, weekday } - weekday is 'sun' to 'sat'
+ */
+function toZonedWallClock(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date);
+
+    const value = type => parts.find(part => part.type === type).value;
+    return {
+        year: Number(value('year')),
+        month: Number(value('month')),
+        day: Number(value('day')),
+        hour: Number(value('hour')),
+        minute: Number(value('minute')),
+        weekday: value('weekday').toLowerCase()
+    };
+}
+
+module.exports = {
+    parseSlotDate,
+    parseSlotTime,
+    parseAppointmentDateTime,
+    toZonedWallClock
+};
@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process bus for appointment status changes
+ *
+ * Whatever changes an AppointmentStatus record's status (queue, sweeper,
+ * requeue route) announces it here; notifiers subscribe instead of being
+ * called directly from each of those places. Bookings also report their
+ * progress here ('progress' events) for the live event streams.
+ */
+const statusEvents = new EventEmitter();
+
+/**
+ * Call every listener of an event without letting one break the emitter
+ * @param {string} name - Event name
+ * @param {Object} event - Event payload
+ */
+function notifyListeners(name, event) {
+    // A failing listener must never break the code path that emitted the event
+    for (const listener of statusEvents.listeners(name)) {
+        Promise.resolve()
+            .then(() => listener(event))
+            .catch(error => console.error(`Listener for ${name} failed:`, error));
+    }
+}
+
+/**
+ * Announce a status change
+ * @param {Object} appointment - AppointmentStatus document (after or before the update)
+ * @param {string} oldStatus - Status before the change
+ * @param {string} newStatus - Status after the change
+ * @param {Object} details - Extra context, e.g. { outcome, error }
+ */
+function emitStatusChange(appointment, oldStatus, newStatus, details = {}) {
+    if (oldStatus === newStatus) return;
+
+    const event = {
+        appointment,
+        oldStatus,
+        newStatus,
+        occurredAt: new Date(),
+        ...details
+    };
+
+    notifyListeners('statusChanged', event);
+}
+
+/**
+ * Announce a step of a booking in progress
+ * @param {Object|string} appointmentId - Appointment being worked on
+ * @param {string} step - e.g. 'queued', 'booking_started', 'navigating', 'form_filled', 'submitting'
+ * @param {string} message - Short description without patient data
+ */
+function emitProgress(appointmentId, step, message) {
+    notifyListeners('progress', {
+        appointmentId: appointmentId.toString(),
+        step,
+        message,
+        occurredAt: new Date()
+    });
+}
+
+module.exports = {
+    statusEvents,
+    emitStatusChange,
+    emitProgress
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const config = require('../config');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HMAC-SHA256 signature of a request body
+ * Receivers recompute it over "<X-Webhook-Timestamp>.<raw body>" with the
+ * shared secret and compare against the X-Webhook-Signature header.
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+ * @param {string} secret - Shared secret
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(body, timestamp, secret) {
+    const digest = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Build the webhook payload for a status change
+ * Only the record id, status and slot details are sent - no patient data.
+ * @param {Object} event - Event from statusEvents
+ * @returns {Object} Payload
+ */
+function buildStatusPayload(event) {
+    const { appointment } = event;
+    return {
+        id: crypto.randomUUID(),
+        type: 'appointment.status_changed',
+        occurredAt: event.occurredAt.toISOString(),
+        data: {
+            appointmentId: appointment._id.toString(),
+            oldStatus: event.oldStatus,
+            newStatus: event.newStatus,
+            outcome: event.outcome || null,
+            clinicianId: appointment.clinicianId,
+            clinicianName: appointment.clinicianName || null,
+            appointmentType: appointment.appointmentType || null,
+            appointmentDate: appointment.appointmentDate || null,
+            appointmentTime: appointment.appointmentTime || null,
+            appointmentAt: appointment.appointmentAt || null,
+            href: appointment.href
+        }
+    };
+}
+
+/**
+ * POST a signed payload once
+ * @param {string} url - Receiver URL
+ * @param {Object} payload - JSON payload
+ * @param {string} secret - Signing secret
+ * @returns {Promise<Object>} { ok, statusCode, error, durationMs }
+ */
+async function sendWebhook(url, payload, secret) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = Date.now();
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': payload.id,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': signPayload(body, timestamp, secret)
+            },
+            body,
+            signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+        });
+
+        return {
+            ok: response.ok,
+            statusCode: response.status,
+            error: response.ok ? null : `HTTP ${response.status}`,
+            durationMs: Date.now() - started
+        };
+    } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, durationMs: Date.now() - started };
+    }
+}
+
+/**
+ * Deliver a payload, retrying with exponential backoff
+ * @param {string} url - Receiver URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} options
+ * @param {string} options.secret - Signing secret
+ * @param {number} options.maxAttempts - Attempts before giving up
+ * @param {number} options.retryDelayMs - Delay before the second attempt; doubles each time
+ * @param {Function} options.onAttempt - Called with each attempt's result
+ * @returns {Promise<Object>} Result of the last attempt
+ */
+async function deliverWithRetry(url, payload, {
+    secret = config.webhooks.secret,
+    maxAttempts = config.webhooks.maxAttempts,
+    retryDelayMs = config.webhooks.retryDelayMs,
+    onAttempt = () => {}
+} = {}) {
+    let result;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        result = await sendWebhook(url, payload, secret);
+        await onAttempt({ ...result, attempt, attemptedAt: new Date() });
+
+        if (result.ok) return result;
+        if (attempt < maxAttempts) {
+            await delay(retryDelayMs * Math.pow(2, attempt - 1));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Deliver a payload to one receiver and keep a delivery log in Mongo
+ * @param {string} url - Receiver URL
+ * @param {Object} payload - JSON payload from buildStatusPayload
+ * @returns {Promise<Object>} The WebhookDelivery document
+ */
+async function deliverWebhook(url, payload) {
+    const delivery = await WebhookDelivery.create({
+        eventId: payload.id,
+        event: payload.type,
+        appointmentId: payload.data.appointmentId,
+        url,
+        payload
+    });
+
+    const result = await deliverWithRetry(url, payload, {
+        onAttempt: attempt => WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            {
+                $push: {
+                    attempts: {
+                        attemptedAt: attempt.attemptedAt,
+                        statusCode: attempt.statusCode,
+                        error: attempt.error,
+                        durationMs: attempt.durationMs
+                    }
+                }
+            }
+        )
+    });
+
+    const update = result.ok
+        ? { status: 'delivered', deliveredAt: new Date() }
+        : { status: 'failed' };
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+
+    if (!result.ok) {
+        console.error(`Webhook ${payload.id} to ${url} failed: ${result.error}`);
+    }
+
+    return delivery;
+}
+
+/**
+ * Send a status change to every configured receiver
+ * @param {Object} event - Event from statusEvents
+ */
+async function notifyWebhooks(event) {
+    const { urls, events } = config.webhooks;
+    if (urls.length === 0 || !events.includes(event.newStatus)) return;
+
+    const payload = buildStatusPayload(event);
+    await Promise.all(urls.map(url => deliverWebhook(url, payload)));
+}
+
+module.exports = {
+    signPayload,
+    buildStatusPayload,
+    sendWebhook,
+    deliverWithRetry,
+    deliverWebhook,
+    notifyWebhooks
+};
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListQuery, encodeCursor, decodeCursor } = require('../services/appointmentQueryService');
+
+describe('parseListQuery', () => {
+    it('defaults to newest first, 50 per page', () => {
+        const parsed = parseListQuery({});
+
+        assert.deepEqual(parsed.filter, {});
+        assert.equal(parsed.sort, 'createdAt');
+        assert.equal(parsed.order, 'desc');
+        assert.equal(parsed.limit, 50);
+        assert.equal(parsed.errors, null);
+    });
+
+    it('builds filters for status, clinician, contact and date ranges', () => {
+        const parsed = parseListQuery({
+            status: 'unknown,failed',
+            clinicianId: '42',
+            email: ' Jane.Doe@Example.com ',
+            appointmentFrom: '2025-03-01',
+            appointmentTo: '2025-03-31T23:59:59Z',
+            createdFrom: '2025-02-01'
+        });
+
+        assert.equal(parsed.errors, null);
+        assert.deepEqual(parsed.filter.status, { $in: ['unknown', 'failed'] });
+        assert.equal(parsed.filter.clinicianId, '42');
+        assert.equal(parsed.filter.email, 'jane.doe@example.com');
+        assert.equal(parsed.filter.appointmentAt.$gte.toISOString(), '2025-03-01T00:00:00.000Z');
+        assert.equal(parsed.filter.appointmentAt.$lte.toISOString(), '2025-03-31T23:59:59.000Z');
+        assert.equal(parsed.filter.createdAt.$gte.toISOString(), '2025-02-01T00:00:00.000Z');
+    });
+
+    it('always projects the sort field', () => {
+        const parsed = parseListQuery({ fields: 'firstName,status', sort: 'appointmentAt' });
+
+        assert.equal(parsed.projection, 'firstName status appointmentAt');
+    });
+
+    it('reports every invalid parameter by name', () => {
+        const parsed = parseListQuery({
+            status: 'pending',
+            sort: 'lastName',
+            order: 'up',
+            limit: '1000',
+            appointmentFrom: 'soon',
+            fields: 'firstName,leaseOwner,nope'
+        });
+
+        assert.deepEqual(Object.keys(parsed.errors).sort(), ['appointmentFrom', 'fields', 'limit', 'order', 'sort', 'status']);
+    });
+
+    it('rejects cursors from a different sort order', () => {
+        const cursor = encodeCursor({ sort: 'createdAt', order: 'desc', value: new Date(), id: '507f1f77bcf86cd799439011' });
+
+        assert.equal(parseListQuery({ cursor }).errors, null);
+        assert.ok(parseListQuery({ cursor, order: 'asc' }).errors.cursor);
+        assert.ok(parseListQuery({ cursor: 'not-a-cursor' }).errors.cursor);
+    });
+
+    it('rejects cursors whose value is not a date', () => {
+        for (const value of ['soon', null, undefined]) {
+            const cursor = encodeCursor({ sort: 'createdAt', order: 'desc', value, id: '507f1f77bcf86cd799439011' });
+            assert.equal(parseListQuery({ cursor }).errors.cursor, 'cursor is invalid');
+        }
+    });
+
+    it('matches phone numbers on their digits', () => {
+        assert.deepEqual(parseListQuery({ phone: ' +1 (555) 123-4567 ' }).filter, {
+            $or: [{ phoneDigits: '5551234567' }, { phone: '+1 (555) 123-4567' }]
+        });
+        assert.equal(parseListQuery({ phone: '123-4567' }).errors.phone, 'phone must have at least 10 digits');
+    });
+});
+
+describe('cursor encoding', () => {
+    it('round-trips a position', () => {
+        const position = { sort: 'createdAt', order: 'desc', value: '2025-03-01T00:00:00.000Z', id: '507f1f77bcf86cd799439011' };
+
+        assert.deepEqual(decodeCursor(encodeCursor(position)), position);
+    });
+});
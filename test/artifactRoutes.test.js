@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { resetKeyring } = require('../services/encryptionService');
+const { captureArtifacts } = require('../services/artifactService');
+const { startApiServer } = require('./helpers/apiServer');
+
+const APPOINTMENT_ID = '507f1f77bcf86cd799439011';
+const HTML = '<form><input name="dob" value="04/12/1988"></form>';
+
+describe('artifact routes', () => {
+    const originalDir = config.artifacts.dir;
+    const originalEncryption = { ...config.encryption };
+    let api;
+
+    before(async () => {
+        config.artifacts.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+        config.encryption.keys = [`2026-01:${crypto.randomBytes(32).toString('base64')}`];
+        config.encryption.activeKeyId = '';
+        resetKeyring();
+        api = await startApiServer();
+    });
+
+    after(async () => {
+        await api.close();
+        fs.rmSync(config.artifacts.dir, { recursive: true, force: true });
+        config.artifacts.dir = originalDir;
+        Object.assign(config.encryption, originalEncryption);
+        resetKeyring();
+    });
+
+    it('are limited to privileged roles', async () => {
+        const list = `/api/appointments/${APPOINTMENT_ID}/artifacts`;
+        const download = `${list}/attempt-1-1700000000000/page.html`;
+
+        assert.equal((await api.request(list, { role: 'staff' })).status, 403);
+        assert.equal((await api.request(download, { role: 'staff' })).status, 403);
+
+        const response = await api.request(list, { role: 'admin' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), []);
+        assert.equal((await api.request(download, { role: 'admin' })).status, 404);
+    });
+
+    it('stores artifacts encrypted and serves them decrypted', async () => {
+        const page = {
+            screenshot: async () => Buffer.from('png bytes'),
+            content: async () => HTML,
+            url: () => 'https://portal.example/request?clinician=42'
+        };
+        const { attempt, files } = await captureArtifacts(page, { appointmentId: APPOINTMENT_ID, attempt: 1, status: 'error' });
+        assert.deepEqual(files, ['screenshot.png', 'page.html', 'events.json']);
+
+        for (const file of files) {
+            const stored = fs.readFileSync(path.join(config.artifacts.dir, APPOINTMENT_ID, attempt, file));
+            assert.ok(stored.toString('latin1').startsWith('enc:v1:2026-01:'), file);
+        }
+
+        const response = await api.request(`/api/appointments/${APPOINTMENT_ID}/artifacts/${attempt}/page.html`, { role: 'admin' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-disposition'), /page\.html/);
+        assert.equal(await response.text(), HTML);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { authenticateHeaders, hasPermission, isAuthConfigured, resetApiKeys } = require('../services/authService');
+
+const originalAuth = { ...config.auth };
+const SECRET = 'test-secret-that-is-long-enough';
+
+function useAuth(overrides) {
+    Object.assign(config.auth, { ...originalAuth, ...overrides });
+    resetApiKeys();
+}
+
+after(() => useAuth({}));
+
+describe('authenticateHeaders', () => {
+    beforeEach(() => useAuth({
+        apiKeys: ['intake-form:intake:intake-key-123', 'front-desk:staff:staff-key-456'],
+        jwtSecret: SECRET
+    }));
+
+    it('requires a credential', () => {
+        assert.deepEqual(authenticateHeaders({}), { error: 'Authentication required' });
+        assert.equal(isAuthConfigured(), true);
+    });
+
+    it('accepts API keys in X-API-Key or as a bearer token', () => {
+        assert.deepEqual(authenticateHeaders({ 'x-api-key': 'intake-key-123' }).auth,
+            { type: 'api_key', id: 'intake-form', role: 'intake' });
+        assert.deepEqual(authenticateHeaders({ authorization: 'Bearer staff-key-456' }).auth,
+            { type: 'api_key', id: 'front-desk', role: 'staff' });
+        assert.deepEqual(authenticateHeaders({ 'x-api-key': 'nope' }), { error: 'Invalid credentials' });
+    });
+
+    it('accepts JWTs signed with the shared secret and a known role', () => {
+        const token = jwt.sign({ sub: 'dr-smith', role: 'admin' }, SECRET, { expiresIn: '5m' });
+        assert.deepEqual(authenticateHeaders({ authorization: `Bearer ${token}` }).auth,
+            { type: 'jwt', id: 'dr-smith', role: 'admin' });
+    });
+
+    it('rejects JWTs that are expired, forged, carry an unknown role or name no subject', () => {
+        const expired = jwt.sign({ sub: 'a', role: 'staff', exp: Math.floor(Date.now() / 1000) - 60 }, SECRET);
+        const forged = jwt.sign({ sub: 'a', role: 'admin' }, 'some-other-secret');
+        const unknownRole = jwt.sign({ sub: 'a', role: 'superuser' }, SECRET);
+        const unsigned = jwt.sign({ sub: 'a', role: 'admin' }, null, { algorithm: 'none' });
+        const noSubject = jwt.sign({ role: 'intake' }, SECRET);
+        const blankSubject = jwt.sign({ sub: ' ', role: 'intake' }, SECRET);
+
+        for (const token of [expired, forged, unknownRole, unsigned, noSubject, blankSubject]) {
+            assert.deepEqual(authenticateHeaders({ authorization: `Bearer ${token}` }), { error: 'Invalid credentials' });
+        }
+    });
+
+    it('checks issuer and audience when configured', () => {
+        useAuth({ jwtSecret: SECRET, jwtIssuer: 'practice-sso', jwtAudience: 'scrapper' });
+        const good = jwt.sign({ sub: 'a', role: 'staff' }, SECRET, { issuer: 'practice-sso', audience: 'scrapper' });
+        const wrongAudience = jwt.sign({ sub: 'a', role: 'staff' }, SECRET, { issuer: 'practice-sso', audience: 'other' });
+
+        assert.ok(authenticateHeaders({ authorization: `Bearer ${good}` }).auth);
+        assert.ok(authenticateHeaders({ authorization: `Bearer ${wrongAudience}` }).error);
+    });
+
+    it('refuses API keys with an unknown role', () => {
+        useAuth({ apiKeys: ['robot:root:key'] });
+        assert.throws(() => authenticateHeaders({ 'x-api-key': 'key' }), /unknown role 'root'/);
+    });
+
+    it('rejects everything when nothing is configured', () => {
+        useAuth({ apiKeys: [], jwtSecret: '' });
+        assert.equal(isAuthConfigured(), false);
+        assert.deepEqual(authenticateHeaders({ 'x-api-key': 'anything' }), { error: 'Invalid credentials' });
+    });
+});
+
+describe('hasPermission', () => {
+    it('separates intake, staff and admin', () => {
+        assert.ok(hasPermission('intake', 'appointments:create'));
+        assert.ok(!hasPermission('intake', 'appointments:read'));
+
+        assert.ok(hasPermission('staff', 'appointments:read'));
+        assert.ok(hasPermission('staff', 'appointments:requeue'));
+        assert.ok(!hasPermission('staff', 'appointments:delete'));
+
+        assert.ok(hasPermission('admin', 'appointments:delete'));
+        assert.ok(hasPermission('admin', 'audit:read'));
+        assert.ok(!hasPermission(undefined, 'appointments:read'));
+    });
+});
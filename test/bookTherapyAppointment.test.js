@@ -0,0 +1,188 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { bookTherapyAppointment, checkAppointmentSlot } = require('../main.js');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { browserUnavailableReason } = require('./helpers/browser');
+const { listArtifacts } = require('../services/artifactService');
+const { shutdownBrowserPool } = require('../services/browserPool');
+
+// The fixtures respond instantly, so the portal-sized waits can shrink
+const FAST = { delayMultiplier: 0.1 };
+
+const patient = {
+    firstName: 'Jane',
+    middleName: 'Q',
+    lastName: 'Doe',
+    preferredName: 'JJ',
+    email: 'jane.doe@example.com',
+    phone: '5555550100',
+    dateOfBirth: '01/02/1990',
+    comments: 'Prefers afternoon sessions'
+};
+
+describe('bookTherapyAppointment against portal fixtures', () => {
+    let portal;
+    let skipReason;
+    const originalArtifactsDir = config.artifacts.dir;
+
+    before(async () => {
+        config.artifacts.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-artifacts-'));
+        portal = await startFixtureServer();
+        skipReason = await browserUnavailableReason();
+    });
+
+    after(async () => {
+        fs.rmSync(config.artifacts.dir, { recursive: true, force: true });
+        config.artifacts.dir = originalArtifactsDir;
+        await shutdownBrowserPool();
+        await portal.close();
+    });
+
+    it('submits the guest request form and reports success', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/request?clinician=42`, patient, FAST);
+
+        assert.equal(result.status, 'success');
+        assert.match(result.confirmation, /has been received/);
+
+        const submission = portal.submissions.find(entry => entry.path === '/request');
+        assert.ok(submission, 'form was posted to the fixture server');
+        assert.equal(submission.body.firstName, 'Jane');
+        assert.equal(submission.body.middleName, 'Q');
+        assert.equal(submission.body.preferredName, 'JJ');
+        assert.equal(submission.body.email, 'jane.doe@example.com');
+        assert.equal(submission.body.dateOfBirth, '01/02/1990');
+        assert.equal(submission.body.comments, 'Prefers afternoon sessions');
+    });
+
+    it('writes the clinical intake into the comments box within its maxlength', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/request?clinician=42`, {
+            ...patient,
+            insurance: 'Aetna',
+            memberId: 'W123456789',
+            previousTherapy: 'yes',
+            takingMedication: 'no',
+            reasonForTherapy: 'Work stress. '.repeat(100),
+            hasMedicationHistory: 'no'
+        }, FAST);
+
+        assert.equal(result.status, 'success');
+        const submission = portal.submissions.filter(entry => entry.path === '/request').pop();
+        const comments = submission.body.comments;
+
+        assert.ok(comments.startsWith('Prefers afternoon sessions\n\nReason for therapy: Work stress.'));
+        assert.match(comments, /Previous therapy: Yes/);
+        assert.match(comments, /Member ID: W123456789/);
+        assert.ok(comments.replace(/\r?\n/g, '\r\n').length <= 1000);
+        assert.ok(result.processingLog.some(entry => entry.status === 'intake_notes' && /truncated/.test(entry.message)));
+    });
+
+    it('reports booked when the office banner is shown', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/booked?clinician=42`, patient, FAST);
+
+        assert.equal(result.status, 'booked');
+        assert.match(result.message, /Please contact the office/);
+    });
+
+    it('reports expired when the slot is too soon to request', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/expired?clinician=42`, patient, FAST);
+
+        assert.equal(result.status, 'expired');
+        assert.match(result.message, /very soon/);
+    });
+
+    it('returns the validation summary as the error', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/invalid?clinician=42`, patient, FAST);
+
+        assert.equal(result.status, 'error');
+        assert.match(result.error, /valid date of birth/);
+    });
+
+    it('stops with an error when a bot challenge is shown', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/challenge?clinician=42`, patient, FAST);
+
+        assert.equal(result.status, 'error');
+        assert.equal(result.pageState.state, 'bot_challenge');
+        assert.equal(portal.submissions.filter(entry => entry.path === '/challenge').length, 0);
+    });
+
+    it('saves a screenshot, HTML and page events for failed attempts', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/invalid?clinician=42`, patient, {
+            ...FAST,
+            appointmentId: 'fixture-appointment',
+            attempt: 1
+        });
+
+        assert.equal(result.status, 'error');
+        assert.deepEqual(result.artifacts.files.sort(), ['events.json', 'page.html', 'screenshot.png']);
+
+        const [stored] = await listArtifacts('fixture-appointment');
+        assert.equal(stored.attempt, result.artifacts.attempt);
+    });
+
+    it('fills but never submits in dry-run mode', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const before = portal.submissions.length;
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/request?clinician=42`, patient, { ...FAST, dryRun: true });
+
+        assert.equal(result.status, 'dry_run');
+        assert.equal(result.ok, true);
+        assert.equal(portal.submissions.length, before);
+        assert.deepEqual(result.report.missingSelectors, []);
+
+        const email = result.report.fields.find(entry => entry.field === 'email');
+        assert.equal(email.actual, 'jane.doe@example.com');
+        assert.equal(email.matches, true);
+    });
+
+    it('reports selectors missing from the page in dry-run mode', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        // The validation page only carries a subset of the form
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/validation-error?clinician=42`, patient, { ...FAST, dryRun: true });
+
+        assert.equal(result.ok, false);
+        assert.ok(result.report.missingSelectors.includes('#ctl00_ctl00_BodyContent_BodyContent_TextBoxEmailAddress'));
+        assert.ok(result.report.mismatchedFields.includes('email'));
+    });
+
+    it('records each step in the processing log', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const result = await bookTherapyAppointment(`${portal.baseUrl}/request?clinician=42`, patient, FAST);
+        const steps = result.processingLog.map(entry => entry.status);
+
+        assert.deepEqual(steps.slice(0, 6), ['navigated', 'page_state', 'guest_button', 'intake_notes', 'fields_filled', 'submit_method_1']);
+        assert.equal(steps[steps.length - 1], 'outcome');
+    });
+
+    it('checks whether a slot is open without submitting anything', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const submitted = portal.submissions.length;
+        const open = await checkAppointmentSlot(`${portal.baseUrl}/request?clinician=42`, FAST);
+        const taken = await checkAppointmentSlot(`${portal.baseUrl}/booked?clinician=42`, FAST);
+
+        assert.equal(open.status, 'available');
+        assert.equal(taken.status, 'booked');
+        assert.equal(portal.submissions.length, submitted);
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const puppeteerRealBrowser = require('puppeteer-real-browser');
+const config = require('../config');
+
+/**
+ * Stand-in for a puppeteer browser; disconnect() simulates a crash
+ */
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.connected = true;
+        this.closed = false;
+    }
+
+    async createBrowserContext() {
+        return { newPage: async () => ({}), close: async () => {} };
+    }
+
+    async close() {
+        this.closed = true;
+        this.connected = false;
+    }
+
+    disconnect() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+}
+
+// Every browser the pool launched, in order
+const launched = [];
+// browserPool reads connect when it is loaded, so it is replaced first
+mock.method(puppeteerRealBrowser, 'connect', async () => {
+    const browser = new FakeBrowser();
+    launched.push(browser);
+    return { browser };
+});
+
+const { acquirePage, shutdownBrowserPool, getBrowserPoolStats } = require('../services/browserPool');
+
+const originalPool = { ...config.browserPool };
+
+beforeEach(() => {
+    launched.length = 0;
+    Object.assign(config.browserPool, { size: 1, contextsPerBrowser: 1, maxUsesPerBrowser: 25 });
+});
+
+afterEach(async () => {
+    await shutdownBrowserPool();
+    Object.assign(config.browserPool, originalPool);
+});
+
+describe('browserPool', () => {
+    it('reuses a warm browser for the next booking', async () => {
+        const first = await acquirePage();
+        await first.release();
+        const second = await acquirePage();
+
+        assert.equal(launched.length, 1);
+        assert.equal(second.browser, first.browser);
+        assert.equal(getBrowserPoolStats().browsers[0].uses, 2);
+        await second.release();
+    });
+
+    it('queues bookings beyond the pool capacity until a context is released', async () => {
+        const first = await acquirePage();
+        let secondSettled = false;
+        const second = acquirePage().then(page => {
+            secondSettled = true;
+            return page;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(secondSettled, false);
+        assert.equal(getBrowserPoolStats().waiting, 1);
+
+        await first.release();
+        const { browser, release } = await second;
+        assert.equal(browser, first.browser);
+        assert.equal(getBrowserPoolStats().waiting, 0);
+        await release();
+    });
+
+    it('replaces a browser after maxUsesPerBrowser bookings', async () => {
+        config.browserPool.maxUsesPerBrowser = 2;
+
+        for (let i = 0; i < 2; i++) {
+            await (await acquirePage()).release();
+        }
+        assert.equal(launched[0].closed, true);
+        assert.equal(getBrowserPoolStats().browsers.length, 0);
+
+        const next = await acquirePage();
+        assert.equal(launched.length, 2);
+        assert.equal(next.browser, launched[1]);
+        await next.release();
+    });
+
+    it('retires a browser that crashed or disconnected', async () => {
+        const crashes = getBrowserPoolStats().crashes;
+
+        const first = await acquirePage();
+        await first.release({ crashed: true });
+        assert.equal(launched[0].closed, true);
+
+        const second = await acquirePage();
+        await second.release();
+        launched[1].disconnect();
+        assert.equal(getBrowserPoolStats().crashes, crashes + 1);
+        assert.equal(getBrowserPoolStats().browsers.length, 0);
+
+        const third = await acquirePage();
+        assert.equal(launched.length, 3);
+        await third.release();
+    });
+
+    it('closes every browser on shutdown and rejects waiting bookings', async () => {
+        config.browserPool.size = 2;
+        const pages = [await acquirePage(), await acquirePage()];
+        const waiting = acquirePage();
+        await new Promise(resolve => setImmediate(resolve));
+
+        await shutdownBrowserPool();
+
+        await assert.rejects(waiting, /shutting down/);
+        assert.deepEqual(launched.map(browser => browser.closed), [true, true]);
+        assert.equal(getBrowserPoolStats().browsers.length, 0);
+        await Promise.all(pages.map(page => page.release()));
+
+        // Not permanent: the pool starts over on the next booking
+        await (await acquirePage()).release();
+        assert.equal(launched.length, 3);
+    });
+
+    it('refuses new pages after a permanent shutdown', async () => {
+        await shutdownBrowserPool({ permanent: true });
+        await assert.rejects(acquirePage(), /shutting down/);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES, exitCodeForResult, parseCommandLine } = require('../cli');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+describe('parseCommandLine', () => {
+    it('splits commands, arguments and options', () => {
+        const parsed = parseCommandLine(['book', 'https://portal.example/request?clinician=42', '--patient', 'jane.json', '--dry-run', '--json']);
+
+        assert.equal(parsed.command, 'book');
+        assert.deepEqual(parsed.args, ['https://portal.example/request?clinician=42']);
+        assert.equal(parsed.options.patient, 'jane.json');
+        assert.equal(parsed.options['dry-run'], true);
+        assert.equal(parsed.options.json, true);
+    });
+
+    it('rejects incomplete or unknown command lines', () => {
+        assert.throws(() => parseCommandLine([]), /No command given/);
+        assert.throws(() => parseCommandLine(['book', 'https://portal.example/request?clinician=42']), /--patient/);
+        assert.throws(() => parseCommandLine(['queue', 'stop']), /Unknown queue command/);
+        assert.throws(() => parseCommandLine(['requeue', 'not-an-id']), /not an appointment id/);
+        assert.throws(() => parseCommandLine(['check', 'https://portal.example', '--verbose']), /Unknown option/);
+    });
+});
+
+describe('exitCodeForResult', () => {
+    it('tells unavailable slots apart from failures', () => {
+        assert.equal(exitCodeForResult({ status: 'success' }), EXIT_CODES.ok);
+        assert.equal(exitCodeForResult({ status: 'available' }), EXIT_CODES.ok);
+        assert.equal(exitCodeForResult({ status: 'dry_run', ok: true }), EXIT_CODES.ok);
+        assert.equal(exitCodeForResult({ status: 'dry_run', ok: false }), EXIT_CODES.failed);
+        assert.equal(exitCodeForResult({ status: 'booked' }), EXIT_CODES.unavailable);
+        assert.equal(exitCodeForResult({ status: 'expired' }), EXIT_CODES.unavailable);
+        assert.equal(exitCodeForResult({ status: 'error' }), EXIT_CODES.failed);
+    });
+});
+
+describe('scrapper command', () => {
+    it('exits with the usage code and a hint on a bad command line', () => {
+        const result = spawnSync(process.execPath, [CLI, 'book', 'https://portal.example/request?clinician=42', '--patient', 'missing.json'], { encoding: 'utf8' });
+
+        assert.equal(result.status, EXIT_CODES.usage);
+        assert.match(result.stderr, /Could not read patient file missing.json/);
+        assert.match(result.stderr, /--help/);
+    });
+
+    it('refuses database commands when MONGODB_URI is unset', () => {
+        const env = { ...process.env };
+        delete env.MONGODB_URI;
+        const result = spawnSync(process.execPath, [CLI, 'queue', 'status'], { encoding: 'utf8', env, timeout: 30000 });
+
+        assert.equal(result.status, EXIT_CODES.error);
+        assert.match(result.stderr, /MONGODB_URI is not set/);
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { resetKeyring } = require('../services/encryptionService');
+const { createLocalDiskStorage } = require('../services/documentStorage');
+const { checkUploads, cleanFileName, matchesSignature } = require('../services/documentService');
+const { validateIntake } = require('../services/intakeService');
+
+const APPOINTMENT_ID = '507f1f77bcf86cd799439011';
+const DOCUMENT_ID = '507f191e810c19729de860ea';
+
+const PDF = Buffer.from('%PDF-1.7\n%fixture\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+const file = (originalname, mimetype, buffer) => ({ originalname, mimetype, buffer, size: buffer.length });
+
+const readStream = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+describe('local disk document storage', () => {
+    let dir;
+    let storage;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+        storage = createLocalDiskStorage(dir);
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('saves, reads back and removes a file', async () => {
+        const key = `${APPOINTMENT_ID}/${DOCUMENT_ID}`;
+        await storage.save(key, PDF);
+
+        assert.deepEqual(await readStream(await storage.openReadStream(key)), PDF);
+
+        await storage.remove(key);
+        assert.equal(await storage.openReadStream(key), null);
+        assert.ok(!fs.existsSync(path.join(dir, APPOINTMENT_ID)));
+    });
+
+    it('encrypts contents at rest when a PHI key is configured', async () => {
+        const originalEncryption = { ...config.encryption };
+        config.encryption.keys = [`2026-01:${crypto.randomBytes(32).toString('base64')}`];
+        config.encryption.activeKeyId = '';
+        resetKeyring();
+
+        try {
+            const key = `${APPOINTMENT_ID}/${DOCUMENT_ID}`;
+            await storage.save(key, PDF);
+
+            const stored = fs.readFileSync(path.join(dir, key));
+            assert.ok(stored.toString('latin1').startsWith('enc:v1:2026-01:'));
+            assert.ok(!stored.includes('%PDF'));
+            assert.deepEqual(await readStream(await storage.openReadStream(key)), PDF);
+
+            // Tampered contents are refused rather than served
+            stored[stored.length - 1] ^= 1;
+            fs.writeFileSync(path.join(dir, key), stored);
+            await assert.rejects(storage.openReadStream(key), /authenticate/);
+
+            // Files stored before encryption was enabled stay readable
+            fs.writeFileSync(path.join(dir, key), PNG);
+            assert.deepEqual(await readStream(await storage.openReadStream(key)), PNG);
+            await storage.remove(key);
+        } finally {
+            Object.assign(config.encryption, originalEncryption);
+            resetKeyring();
+        }
+    });
+
+    it('refuses keys it did not generate', async () => {
+        await assert.rejects(storage.save('../escape', PDF), /Invalid document storage key/);
+        await assert.rejects(storage.openReadStream(`${APPOINTMENT_ID}/../../etc`), /Invalid document storage key/);
+    });
+});
+
+describe('checkUploads', () => {
+    const appointment = { documents: [] };
+
+    it('accepts PDFs and images whose content matches their type', () => {
+        assert.equal(checkUploads(appointment, [file('card.pdf', 'application/pdf', PDF), file('card.png', 'image/png', PNG)]), null);
+    });
+
+    it('rejects disallowed types and content that lies about its type', () => {
+        const errors = checkUploads(appointment, [
+            file('script.html', 'text/html', Buffer.from('<script>')),
+            file('fake.pdf', 'application/pdf', Buffer.from('MZ executable'))
+        ]);
+
+        assert.match(errors['script.html'], /not allowed/);
+        assert.match(errors['fake.pdf'], /not application\/pdf/);
+    });
+
+    it('requires at least one file and enforces the per-appointment limit', () => {
+        assert.ok(checkUploads(appointment, []).files);
+
+        const full = { documents: new Array(10).fill({}) };
+        assert.match(checkUploads(full, [file('card.pdf', 'application/pdf', PDF)]).files, /at most 10/);
+    });
+});
+
+describe('document helpers', () => {
+    it('strips paths and header-breaking characters from file names', () => {
+        assert.equal(cleanFileName('../../etc/passwd'), 'passwd');
+        assert.equal(cleanFileName('insurance "card"\r\n.pdf'), 'insurance card.pdf');
+        assert.equal(cleanFileName(''), 'document');
+    });
+
+    it('trusts types without a known signature as declared', () => {
+        assert.equal(matchesSignature(Buffer.from('anything'), 'image/heic'), true);
+        assert.equal(matchesSignature(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/jpeg'), true);
+    });
+});
+
+describe('intake fileUrls', () => {
+    const intake = {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        dateOfBirth: '04/12/1988',
+        phone: '5551234567',
+        email: 'jane@example.com',
+        href: 'https://portal.example/request?clinician=42',
+        previousTherapy: 'no',
+        takingMedication: 'no',
+        reasonForTherapy: 'Stress',
+        hasMedicationHistory: 'no'
+    };
+
+    it('only accepts http(s) URLs', async () => {
+        const good = await validateIntake({ ...intake, fileUrls: ['https://files.example/card.pdf'] });
+        assert.equal(good.errors, null);
+
+        const bad = await validateIntake({ ...intake, fileUrls: ['javascript:alert(1)', 'not a url'] });
+        assert.match(bad.errors.fileUrls, /http or https/);
+    });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { matchReasons, getDuplicatePolicy, checkIntakeDuplicates } = require('../services/duplicateService');
+const { bookAppointment } = require('../services/queueService');
+const { statusEvents } = require('../services/statusEvents');
+const { startApiServer } = require('./helpers/apiServer');
+
+const originalPolicy = config.duplicates.policy;
+
+describe('matchReasons', () => {
+    const jane = { email: 'jane@example.com', phone: '(555) 123-4567', dateOfBirth: '04/12/1988' };
+
+    it('matches on email or a phone number written differently', () => {
+        assert.deepEqual(matchReasons(jane, { ...jane, phone: '555.123.4567' }), ['email', 'phone']);
+        assert.deepEqual(matchReasons(jane, { email: 'other@example.com', phone: '+1 555 123 4567' }), ['phone']);
+        assert.deepEqual(matchReasons(jane, { email: 'jane@example.com', phone: '5559999999' }), ['email']);
+    });
+
+    it('treats a different date of birth as a different patient', () => {
+        // e.g. a parent booking for two children with their own email
+        assert.deepEqual(matchReasons(jane, { ...jane, dateOfBirth: '09/30/2012' }), []);
+    });
+
+    it('does not match on missing values', () => {
+        assert.deepEqual(matchReasons({ email: '', phone: '123' }, { email: '', phone: '123' }), []);
+    });
+});
+
+describe('AppointmentStatus.normalizePhone', () => {
+    it('keeps the last ten digits', () => {
+        assert.equal(AppointmentStatus.normalizePhone('+1 (555) 123-4567'), '5551234567');
+        assert.equal(AppointmentStatus.normalizePhone('555-1234'), null);
+    });
+});
+
+describe('duplicate policy', () => {
+    afterEach(() => {
+        config.duplicates.policy = originalPolicy;
+    });
+
+    it('rejects unknown policies', () => {
+        config.duplicates.policy = 'cancel_all';
+        assert.throws(() => getDuplicatePolicy(), /Unknown DUPLICATE_POLICY/);
+    });
+
+    it('skips the lookup entirely when duplicates are allowed', async () => {
+        config.duplicates.policy = 'allow';
+        const result = await checkIntakeDuplicates(new AppointmentStatus({ email: 'jane@example.com' }));
+        assert.deepEqual(result, { policy: 'allow', action: 'allow', duplicates: [] });
+    });
+});
+
+describe('duplicate checks around booking and intake', () => {
+    const intake = {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        dateOfBirth: '04/12/1988',
+        phone: '(555) 123-4567',
+        email: 'jane@example.com',
+        href: 'https://portal.example/request?clinician=42',
+        previousTherapy: 'no',
+        takingMedication: 'no',
+        reasonForTherapy: 'Stress',
+        hasMedicationHistory: 'no'
+    };
+
+    let api;
+
+    before(async () => {
+        api = await startApiServer();
+    });
+
+    after(() => api.close());
+
+    afterEach(() => {
+        mock.restoreAll();
+        config.duplicates.policy = originalPolicy;
+    });
+
+    it('records a failed lookup before booking as an attempt error', async () => {
+        config.duplicates.policy = 'warn';
+        mock.method(AppointmentStatus, 'find', () => ({
+            sort: () => ({
+                select: async () => {
+                    throw new Error('connection reset');
+                }
+            })
+        }));
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', async ({ _id }, update) => ({ _id, ...update }));
+        mock.method(AppointmentStatus, 'appendProcessingLog', async () => {});
+        mock.method(console, 'error', () => {});
+
+        const status = await bookAppointment(new AppointmentStatus({ ...intake, clinicianId: '42' }), { dryRun: false });
+
+        assert.equal(status, 'unknown');
+        const update = findOneAndUpdate.mock.calls[0].arguments[1];
+        assert.equal(update.attemptCount, 1);
+        assert.equal(update.lastError, 'connection reset');
+    });
+
+    it('announces an intake cancelled under keep_earliest', async () => {
+        config.duplicates.policy = 'keep_earliest';
+        const earlier = new AppointmentStatus({
+            ...intake,
+            href: 'https://portal.example/request?clinician=42&slot=1',
+            clinicianId: '42',
+            createdAt: new Date('2030-01-01T00:00:00Z')
+        });
+        mock.method(AppointmentStatus, 'exists', async () => null);
+        mock.method(AppointmentStatus, 'find', () => ({ sort: () => ({ select: async () => [earlier] }) }));
+        mock.method(AppointmentStatus.prototype, 'save', async function() {
+            return this;
+        });
+
+        const events = [];
+        const listener = event => events.push(event);
+        statusEvents.on('statusChanged', listener);
+
+        const response = await api.request('/api/appointments', {
+            role: 'intake',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(intake)
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        statusEvents.off('statusChanged', listener);
+
+        assert.equal(response.status, 201);
+        assert.equal((await response.json()).status, 'cancelled');
+        assert.deepEqual(
+            events.map(({ oldStatus, newStatus, outcome }) => ({ oldStatus, newStatus, outcome })),
+            [{ oldStatus: 'unknown', newStatus: 'cancelled', outcome: 'duplicate' }]
+        );
+    });
+});
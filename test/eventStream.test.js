@@ -0,0 +1,185 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const StreamEvent = require('../models/StreamEvent');
+const { emitStatusChange, emitProgress } = require('../services/statusEvents');
+const {
+    startEventStreams,
+    pollRelayedEvents,
+    drainEventRelay,
+    openEventStream,
+    closeEventStreams,
+    countEventStreams
+} = require('../services/eventStreamService');
+
+const APPOINTMENT_ID = '507f1f77bcf86cd799439011';
+const OTHER_ID = '507f1f77bcf86cd799439012';
+
+/**
+ * Read a text/event-stream response until a predicate on the parsed events holds
+ * @returns {Promise<Array<Object>>} Events as { event, data }
+ */
+async function readEvents(response, done) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+
+    while (!done(events)) {
+        const { value, done: ended } = await reader.read();
+        if (ended) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const event = block.match(/^event: (.+)$/m);
+            const data = block.match(/^data: (.+)$/m);
+            if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+        }
+    }
+
+    await reader.cancel();
+    return events;
+}
+
+/**
+ * Wait until the server holds exactly this many streams
+ */
+async function streamsOpen(count) {
+    while (countEventStreams() !== count) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('event streams', () => {
+    let server;
+    let baseUrl;
+    // Relay collection: what this process wrote, and what other instances did
+    const relayWrites = [];
+    let relayedFromElsewhere = [];
+
+    before(async () => {
+        mock.method(StreamEvent, 'create', async event => {
+            relayWrites.push(event);
+        });
+        mock.method(StreamEvent, 'find', filter => ({
+            sort: async () => relayedFromElsewhere.filter(event => event.origin !== filter.origin.$ne)
+        }));
+        startEventStreams();
+
+        const app = express();
+        app.get('/appointments/:id/events', (req, res) => {
+            openEventStream(res, {
+                appointment: { _id: req.params.id, status: 'unknown', attemptCount: 1, lastOutcome: 'error' }
+            });
+        });
+        app.get('/events', (req, res) => openEventStream(res));
+
+        server = await new Promise(resolve => {
+            const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => {
+        mock.restoreAll();
+        closeEventStreams();
+        server.close(resolve);
+        server.closeAllConnections();
+    }));
+
+    it('streams a snapshot, then progress and status changes of one appointment only', async () => {
+        const response = await fetch(`${baseUrl}/appointments/${APPOINTMENT_ID}/events`);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+        await streamsOpen(1);
+
+        emitProgress(OTHER_ID, 'navigating', 'Opening the booking page');
+        emitProgress(APPOINTMENT_ID, 'submitting', 'Submitting the booking request');
+        emitStatusChange({ _id: APPOINTMENT_ID, firstName: 'Jane' }, 'unknown', 'booked', { outcome: 'success' });
+
+        const events = await readEvents(response, received => received.length >= 3);
+        assert.deepEqual(events.map(({ event }) => event), ['snapshot', 'progress', 'status']);
+        assert.deepEqual(events[0].data, {
+            appointmentId: APPOINTMENT_ID,
+            status: 'unknown',
+            lastOutcome: 'error',
+            attemptCount: 1,
+            nextAttemptAt: null
+        });
+        assert.equal(events[1].data.step, 'submitting');
+        assert.equal(events[2].data.status, 'booked');
+        assert.equal(events[2].data.outcome, 'success');
+        assert.equal(events[2].data.firstName, undefined);
+    });
+
+    it('streams every appointment on the global stream', async () => {
+        await streamsOpen(0);
+        const response = await fetch(`${baseUrl}/events`);
+        await streamsOpen(1);
+
+        emitProgress(OTHER_ID, 'navigating', 'Opening the booking page');
+        emitProgress(APPOINTMENT_ID, 'form_filled', 'Filled in the booking form');
+
+        const events = await readEvents(response, received => received.length >= 2);
+        assert.deepEqual(events.map(({ data }) => data.appointmentId), [OTHER_ID, APPOINTMENT_ID]);
+    });
+
+    it('relays its own events for the other instances', async () => {
+        relayWrites.length = 0;
+        emitProgress(APPOINTMENT_ID, 'navigating', 'Opening the booking page');
+        await new Promise(resolve => setImmediate(resolve));
+        await drainEventRelay();
+
+        assert.equal(relayWrites.length, 1);
+        assert.equal(relayWrites[0].type, 'progress');
+        assert.equal(relayWrites[0].appointmentId, APPOINTMENT_ID);
+        assert.equal(relayWrites[0].data.step, 'navigating');
+        assert.equal(typeof relayWrites[0].origin, 'string');
+    });
+
+    it('delivers events relayed by other instances once', async () => {
+        await streamsOpen(0);
+        const response = await fetch(`${baseUrl}/appointments/${APPOINTMENT_ID}/events`);
+        await streamsOpen(1);
+
+        const relayed = (id, type, data) => ({
+            _id: id,
+            type,
+            appointmentId: data.appointmentId,
+            data,
+            origin: 'other-instance',
+            createdAt: new Date()
+        });
+        relayedFromElsewhere = [
+            relayed('65f000000000000000000001', 'progress', { appointmentId: OTHER_ID, step: 'navigating' }),
+            relayed('65f000000000000000000002', 'progress', { appointmentId: APPOINTMENT_ID, step: 'submitting' }),
+            relayed('65f000000000000000000003', 'status', { appointmentId: APPOINTMENT_ID, oldStatus: 'unknown', status: 'booked' })
+        ];
+        // A second poll sees the same events again within the overlap window
+        await pollRelayedEvents();
+        await pollRelayedEvents();
+        relayedFromElsewhere = [];
+
+        const events = await readEvents(response, received => received.length >= 3);
+        assert.deepEqual(events.map(({ event }) => event), ['snapshot', 'progress', 'status']);
+        assert.equal(events[1].data.step, 'submitting');
+        assert.equal(events[2].data.status, 'booked');
+    });
+
+    it('forgets streams whose client left and ends the rest on close', async () => {
+        await streamsOpen(0);
+        const controller = new AbortController();
+        await fetch(`${baseUrl}/events`, { signal: controller.signal });
+        await streamsOpen(1);
+        controller.abort();
+        await streamsOpen(0);
+
+        const response = await fetch(`${baseUrl}/events`);
+        await streamsOpen(1);
+        closeEventStreams();
+        assert.equal(await response.text(), 'retry: 5000\n\n');
+        assert.equal(countEventStreams(), 0);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { statusEvents } = require('../services/statusEvents');
+const { backfillAppointmentTimes, sweepExpiredAppointments } = require('../services/expirySweeper');
+const config = require('../config');
+
+const NOW = new Date('2030-01-07T15:00:00Z');
+const originalExpiry = { ...config.expiry };
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    Object.assign(config.expiry, { timeZone: 'America/New_York', leadTimeMs: 60 * 60 * 1000 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    Object.assign(config.expiry, originalExpiry);
+});
+
+/**
+ * Stub AppointmentStatus.find for the three queries a sweep makes
+ * @returns {Object} The filters each query was called with
+ */
+function stubSweepQueries({ unparsed = [], candidates = [], expired = [] }) {
+    const filters = {};
+    mock.method(AppointmentStatus, 'find', filter => {
+        if (filter.appointmentAt && filter.appointmentAt.$exists === false) {
+            filters.backfill = filter;
+            return { select: async () => unparsed };
+        }
+        if (filter._id) {
+            filters.expired = filter;
+            return Promise.resolve(expired);
+        }
+        filters.candidates = filter;
+        return { select: async () => candidates };
+    });
+    return filters;
+}
+
+describe('backfillAppointmentTimes', () => {
+    it('parses the slot time of waiting records that have none, storing null when it cannot', async () => {
+        stubSweepQueries({
+            unparsed: [
+                { _id: 'a', appointmentDate: '01/15/2030', appointmentTime: '10:00 AM' },
+                { _id: 'b', appointmentDate: 'next week', appointmentTime: '' }
+            ]
+        });
+        const updateOne = mock.method(AppointmentStatus, 'updateOne', async () => ({ matchedCount: 1 }));
+
+        assert.equal(await backfillAppointmentTimes(), 2);
+
+        assert.deepEqual(updateOne.mock.calls.map(call => call.arguments), [
+            [{ _id: 'a' }, { $set: { appointmentAt: new Date('2030-01-15T15:00:00Z') } }],
+            [{ _id: 'b' }, { $set: { appointmentAt: null } }]
+        ]);
+    });
+});
+
+describe('sweepExpiredAppointments', () => {
+    it('expires unleased waiting records whose slot starts within the lead time', async () => {
+        const expired = new AppointmentStatus({ status: 'expired' });
+        const filters = stubSweepQueries({ candidates: [{ _id: expired._id, fallback: null }], expired: [expired] });
+        const updateMany = mock.method(AppointmentStatus, 'updateMany', async () => ({ modifiedCount: 1 }));
+        mock.method(console, 'log', () => {});
+        const events = [];
+        const listener = event => events.push(event);
+        statusEvents.on('statusChanged', listener);
+
+        assert.equal(await sweepExpiredAppointments(), 1);
+        await new Promise(resolve => setImmediate(resolve));
+        statusEvents.off('statusChanged', listener);
+
+        const cutoff = new Date(NOW.getTime() + 60 * 60 * 1000);
+        const unleased = { $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: NOW } }] };
+        assert.deepEqual(filters.candidates, { status: 'unknown', appointmentAt: { $ne: null, $lte: cutoff }, ...unleased });
+
+        const [filter, update] = updateMany.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: { $in: [expired._id] }, status: 'unknown', ...unleased });
+        assert.deepEqual(update.$set, { status: 'expired', nextAttemptAt: null });
+        assert.equal(update.$push.processingLog.$slice, -500);
+        assert.equal(update.$push.processingLog.$each[0].status, 'expired');
+
+        assert.deepEqual(
+            events.map(({ oldStatus, newStatus, outcome }) => ({ oldStatus, newStatus, outcome })),
+            [{ oldStatus: 'unknown', newStatus: 'expired', outcome: 'slot_passed' }]
+        );
+    });
+
+    it('does nothing when no slot is due', async () => {
+        stubSweepQueries({});
+        const updateMany = mock.method(AppointmentStatus, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+        assert.equal(await sweepExpiredAppointments(), 0);
+        assert.equal(updateMany.mock.callCount(), 0);
+    });
+});
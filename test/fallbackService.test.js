@@ -0,0 +1,257 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const Slot = require('../models/Slot');
+const { normalizeFallback, matchesFallback, substituteSlot } = require('../services/fallbackService');
+const { validateIntake } = require('../services/intakeService');
+const config = require('../config');
+
+const TIME_ZONE = 'America/New_York';
+
+describe('normalizeFallback', () => {
+    it('brings preferences into stored form', () => {
+        const { fallback, error } = normalizeFallback({
+            clinician: 'Any',
+            days: ['Monday', 'wed', 'mon'],
+            timeWindows: [{ start: '9:00 AM', end: '12:30 PM' }, { start: '17:00', end: '19:00' }],
+            latestDate: '04/30/2030'
+        });
+
+        assert.equal(error, null);
+        assert.deepEqual(fallback, {
+            clinician: 'any',
+            appointmentType: null,
+            days: ['mon', 'wed'],
+            timeWindows: [{ start: '09:00', end: '12:30' }, { start: '17:00', end: '19:00' }],
+            latestDate: '2030-04-30'
+        });
+    });
+
+    it('defaults to the same clinician', () => {
+        assert.equal(normalizeFallback({}).fallback.clinician, 'same');
+    });
+
+    it('explains what is wrong', () => {
+        assert.match(normalizeFallback('yes').error, /must be an object/);
+        assert.match(normalizeFallback({ clinician: 'someone' }).error, /fallback.clinician/);
+        assert.match(normalizeFallback({ days: ['funday'] }).error, /fallback.days/);
+        assert.match(normalizeFallback({ timeWindows: [{ start: '2:00 PM', end: '1:00 PM' }] }).error, /end after they start/);
+        assert.match(normalizeFallback({ latestDate: 'soon' }).error, /fallback.latestDate/);
+    });
+});
+
+describe('matchesFallback', () => {
+    const appointment = {
+        clinicianId: '42',
+        appointmentType: 'Initial Consultation',
+        fallback: {
+            clinician: 'same',
+            appointmentType: null,
+            days: ['mon', 'tue'],
+            timeWindows: [{ start: '09:00', end: '12:00' }],
+            latestDate: '2030-03-31'
+        }
+    };
+
+    // Monday, March 11, 2030 10:00 AM in New York
+    const slot = {
+        clinicianId: '42',
+        appointmentType: 'initial consultation',
+        appointmentAt: new Date('2030-03-11T14:00:00Z')
+    };
+
+    it('accepts a slot inside every preference', () => {
+        assert.equal(matchesFallback(slot, appointment, TIME_ZONE), true);
+        assert.equal(matchesFallback({ ...slot, appointmentAt: new Date('2030-03-11T16:00:00Z') }, appointment, TIME_ZONE), true);
+    });
+
+    it('rejects slots outside the clinician, type, day, time or date preferences', () => {
+        assert.equal(matchesFallback({ ...slot, clinicianId: '7' }, appointment, TIME_ZONE), false);
+        assert.equal(matchesFallback({ ...slot, appointmentType: 'Couples Session' }, appointment, TIME_ZONE), false);
+        // Wednesday
+        assert.equal(matchesFallback({ ...slot, appointmentAt: new Date('2030-03-13T14:00:00Z') }, appointment, TIME_ZONE), false);
+        // 8:30 AM
+        assert.equal(matchesFallback({ ...slot, appointmentAt: new Date('2030-03-11T12:30:00Z') }, appointment, TIME_ZONE), false);
+        // Monday, April 1
+        assert.equal(matchesFallback({ ...slot, appointmentAt: new Date('2030-04-01T14:00:00Z') }, appointment, TIME_ZONE), false);
+        assert.equal(matchesFallback({ ...slot, appointmentAt: null }, appointment, TIME_ZONE), false);
+    });
+
+    it('takes any clinician when asked to', () => {
+        const anyClinician = { ...appointment, fallback: { ...appointment.fallback, clinician: 'any' } };
+        assert.equal(matchesFallback({ ...slot, clinicianId: '7' }, anyClinician, TIME_ZONE), true);
+    });
+});
+
+describe('intake fallback', () => {
+    const intake = {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        dateOfBirth: '04/12/1988',
+        phone: '5551234567',
+        email: 'jane@example.com',
+        href: 'https://portal.example/request?clinician=42',
+        previousTherapy: 'no',
+        takingMedication: 'no',
+        reasonForTherapy: 'Stress',
+        hasMedicationHistory: 'no'
+    };
+
+    it('stores valid preferences and reports invalid ones against fallback', async () => {
+        const good = await validateIntake({ ...intake, fallback: { days: ['Friday'] } });
+        assert.equal(good.errors, null);
+        assert.deepEqual(good.appointment.fallback.days, ['fri']);
+
+        const bad = await validateIntake({ ...intake, fallback: { clinician: 'nobody' } });
+        assert.match(bad.errors.fallback, /fallback.clinician/);
+    });
+
+    it('leaves fallback empty when none is given', async () => {
+        const { appointment } = await validateIntake(intake);
+        assert.equal(appointment.fallback, null);
+    });
+});
+
+describe('substituteSlot', () => {
+    const NOW = new Date('2030-03-01T15:00:00Z');
+    const originalExpiry = { ...config.expiry };
+    const originalFallback = { ...config.fallback };
+
+    const appointment = {
+        _id: 'appt-1',
+        href: 'https://portal.example/request?slot=1',
+        clinicianId: '42',
+        clinicianName: 'Dr. Smith',
+        appointmentType: 'Initial Consultation',
+        appointmentDate: '03/04/2030',
+        appointmentTime: '10:00 AM',
+        appointmentAt: new Date('2030-03-04T15:00:00Z'),
+        fallback: { clinician: 'same', appointmentType: null, days: [], timeWindows: [], latestDate: null },
+        substitutions: []
+    };
+
+    // Monday, March 11 and Tuesday, March 12, 2030 10:00 AM in New York
+    const slots = [2, 3].map((id, index) => ({
+        _id: `slot-${id}`,
+        href: `https://portal.example/request?slot=${id}`,
+        clinicianId: '42',
+        clinicianName: 'Dr. Smith',
+        appointmentType: 'Initial Consultation',
+        appointmentDate: `03/1${index + 1}/2030`,
+        appointmentTime: '10:00 AM',
+        appointmentAt: new Date(`2030-03-1${index + 1}T14:00:00Z`)
+    }));
+
+    let logs;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: NOW });
+        Object.assign(config.expiry, { timeZone: TIME_ZONE, leadTimeMs: 60 * 60 * 1000 });
+        Object.assign(config.fallback, { maxSubstitutions: 3 });
+
+        logs = [];
+        mock.method(AppointmentStatus, 'appendProcessingLog', async (id, entry) => { logs.push(entry); });
+        mock.method(AppointmentStatus, 'distinct', async () => []);
+        mock.method(Slot, 'updateOne', async () => ({ matchedCount: 1 }));
+        mock.method(Slot, 'find', () => ({ sort: () => ({ limit: async () => slots }) }));
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+        Object.assign(config.expiry, originalExpiry);
+        Object.assign(config.fallback, originalFallback);
+    });
+
+    it('switches the href and slot fields and records the substitution', async () => {
+        const update = mock.method(AppointmentStatus, 'findOneAndUpdate', async (filter, changes) => ({ _id: filter._id, ...changes.$set }));
+
+        const updated = await substituteSlot(appointment, { reason: 'taken', set: { lastOutcome: 'slot_taken' } });
+
+        assert.equal(updated.href, slots[0].href);
+        assert.equal(update.mock.callCount(), 1);
+
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: 'appt-1', href: appointment.href, status: 'unknown' });
+        assert.deepEqual(changes.$set, {
+            lastOutcome: 'slot_taken',
+            href: slots[0].href,
+            clinicianId: '42',
+            clinicianName: 'Dr. Smith',
+            appointmentType: 'Initial Consultation',
+            appointmentDate: '03/11/2030',
+            appointmentTime: '10:00 AM',
+            appointmentAt: slots[0].appointmentAt,
+            attemptCount: 0,
+            lastError: null,
+            nextAttemptAt: null
+        });
+
+        const substitution = changes.$push.substitutions;
+        assert.equal(substitution.reason, 'taken');
+        assert.equal(substitution.slotId, 'slot-2');
+        assert.equal(substitution.from.href, appointment.href);
+        assert.equal(substitution.from.appointmentDate, '03/04/2030');
+        assert.equal(substitution.to.href, slots[0].href);
+        assert.deepEqual(substitution.substitutedAt, NOW);
+
+        // The old slot is marked gone so no one else is offered it
+        assert.deepEqual(Slot.updateOne.mock.calls[0].arguments, [
+            { href: appointment.href, goneAt: null },
+            { $set: { goneAt: NOW } }
+        ]);
+        assert.equal(logs[0].status, 'slot_substituted');
+    });
+
+    it('moves on to the next slot when another record claimed the href first', async () => {
+        const update = mock.method(AppointmentStatus, 'findOneAndUpdate', async (filter, changes) => {
+            if (changes.$set.href === slots[0].href) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            return { _id: filter._id, ...changes.$set };
+        });
+
+        const updated = await substituteSlot(appointment, { reason: 'expired' });
+
+        assert.equal(update.mock.callCount(), 2);
+        assert.equal(updated.href, slots[1].href);
+        assert.equal(logs[0].status, 'slot_substituted');
+    });
+
+    it('rethrows errors other than a duplicate href', async () => {
+        mock.method(AppointmentStatus, 'findOneAndUpdate', async () => { throw new Error('connection lost'); });
+
+        await assert.rejects(substituteSlot(appointment, { reason: 'taken' }), /connection lost/);
+    });
+
+    it('logs no_fallback_slot when every open slot is already claimed', async () => {
+        AppointmentStatus.distinct.mock.mockImplementation(async () => slots.map(slot => slot.href));
+        const update = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+
+        assert.equal(await substituteSlot(appointment, { reason: 'taken' }), null);
+        assert.equal(update.mock.callCount(), 0);
+        assert.equal(logs[0].status, 'no_fallback_slot');
+    });
+
+    it('stops once the record has used up its substitutions', async () => {
+        const update = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+        const exhausted = { ...appointment, substitutions: [{}, {}, {}] };
+
+        assert.equal(await substituteSlot(exhausted, { reason: 'taken' }), null);
+
+        assert.equal(update.mock.callCount(), 0);
+        assert.equal(Slot.updateOne.mock.callCount(), 0);
+        assert.equal(logs.length, 1);
+        assert.equal(logs[0].status, 'no_fallback_slot');
+        assert.match(logs[0].message, /already switched slots 3 times/);
+    });
+
+    it('only switches while the given worker holds the lease', async () => {
+        const update = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+
+        assert.equal(await substituteSlot(appointment, { reason: 'taken', leaseOwner: 'worker-1' }), null);
+
+        assert.equal(update.mock.calls[0].arguments[0].leaseOwner, 'worker-1');
+        assert.equal(logs.length, 0);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { checkDatabase, checkQueue, checkReadiness } = require('../services/healthService');
+const { isShuttingDown, gracefulShutdown } = require('../services/shutdownService');
+const { processQueue, getQueueRunState } = require('../services/queueService');
+const { scheduleJob, getJobStatus } = require('../services/schedulerService');
+const { acquirePage } = require('../services/browserPool');
+
+describe('readiness checks', () => {
+    it('reports an unconnected database without touching it', async () => {
+        assert.deepEqual(await checkDatabase(), { ok: false, error: 'Database is not connected' });
+    });
+
+    it('treats an idle queue as healthy', () => {
+        assert.deepEqual(checkQueue(), { ok: true });
+    });
+});
+
+describe('gracefulShutdown', () => {
+    let server;
+
+    after(() => {
+        if (server.listening) server.close();
+    });
+
+    it('waits for running jobs, refuses new work and closes the server', async () => {
+        const app = express();
+        app.get('/ping', (req, res) => res.json({ ok: true }));
+        server = await new Promise(resolve => {
+            const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+        });
+
+        let finishJob;
+        scheduleJob('slow', 60 * 1000, () => new Promise(resolve => {
+            finishJob = resolve;
+        }));
+        assert.equal(getJobStatus('slow').running, true);
+
+        const shutdown = gracefulShutdown(server, { signal: 'SIGTERM', timeoutMs: 5000 });
+        assert.equal(isShuttingDown(), true);
+        assert.equal(gracefulShutdown(server), shutdown);
+
+        // The job is still running, so the shutdown must not have finished
+        const early = await Promise.race([shutdown, new Promise(resolve => setTimeout(resolve, 50, 'pending'))]);
+        assert.equal(early, 'pending');
+
+        finishJob();
+        assert.deepEqual(await shutdown, { drained: true });
+
+        assert.equal(server.listening, false);
+        assert.equal(getJobStatus('slow'), null);
+        assert.deepEqual(await processQueue(), []);
+        assert.equal(getQueueRunState().stopping, true);
+        await assert.rejects(acquirePage(), /shutting down/);
+
+        const readiness = await checkReadiness();
+        assert.equal(readiness.ready, false);
+        assert.equal(readiness.shuttingDown, true);
+    });
+});
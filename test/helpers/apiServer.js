@@ -0,0 +1,52 @@
+const config = require('../../config');
+const { resetApiKeys } = require('../../services/authService');
+const AuditLog = require('../../models/AuditLog');
+const app = require('../../server');
+
+// One API key per role; send as `X-API-Key`
+const API_KEYS = {
+    admin: 'admin-test-key',
+    staff: 'staff-test-key',
+    intake: 'intake-test-key'
+};
+
+/**
+ * Start the API on a free port with a key for every role
+ *
+ * Nothing connects to Mongo: tests stub the model methods a route uses
+ * (mock.method) and audit log writes are dropped.
+ *
+ * @returns {Promise<Object>} { baseUrl, request(path, { role, ...fetchOptions }), close }
+ */
+async function startApiServer() {
+    const originalKeys = config.auth.apiKeys;
+    config.auth.apiKeys = Object.entries(API_KEYS).map(([role, key]) => `${role}:${role}:${key}`);
+    resetApiKeys();
+    // Replaced by hand rather than with mock.method so tests' mock.restoreAll() keeps it
+    const createAuditLog = AuditLog.create;
+    AuditLog.create = async () => {};
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = (path, { role, headers = {}, ...options } = {}) => fetch(`${baseUrl}${path}`, {
+        ...options,
+        headers: role ? { ...headers, 'X-API-Key': API_KEYS[role] } : headers
+    });
+
+    return {
+        baseUrl,
+        request,
+        close: () => new Promise(resolve => {
+            AuditLog.create = createAuditLog;
+            config.auth.apiKeys = originalKeys;
+            resetApiKeys();
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
+
+module.exports = { API_KEYS, startApiServer };
@@ -0,0 +1,19 @@
+const { connect } = require('puppeteer-real-browser');
+
+/**
+ * Check once whether a headless Chrome can be started on this machine.
+ * Browser suites skip themselves instead of failing when it cannot
+ * (set CHROME_PATH to point chrome-launcher at a local install).
+ * @returns {Promise<string|null>} Reason the browser is unavailable, or null
+ */
+async function browserUnavailableReason() {
+    try {
+        const { browser } = await connect({ headless: true });
+        await browser.close();
+        return null;
+    } catch (error) {
+        return `headless Chrome could not be started: ${error.message}`;
+    }
+}
+
+module.exports = { browserUnavailableReason };
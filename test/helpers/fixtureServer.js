@@ -0,0 +1,67 @@
+const path = require('path');
+const express = require('express');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'portal');
+
+/**
+ * Serve a fixture file from test/fixtures/portal
+ * @param {string} name - Fixture file name
+ * @returns {Function} Express handler
+ */
+const fixture = name => (req, res) => res.sendFile(path.join(FIXTURE_DIR, name));
+
+/**
+ * Start a local stand-in for the therapy portal
+ *
+ * Routes (all accept ?clinician= like the real portal):
+ *   /request     guest button + request form; POST shows the confirmation
+ *   /invalid     guest button + request form; POST shows validation errors
+ *   /booked      "Please contact the office" banner
+ *   /expired     "appointment is very soon" error banner
+ *   /challenge   anti-bot interstitial
+ *   /confirmation, /validation-error   result pages on their own
+ *   /appointments/availability/   clinician 42 has two weeks of slots
+ *                                 (?page=2 is the second); anyone else has none
+ *
+ * @returns {Promise<Object>} { baseUrl, submissions, close }
+ */
+async function startFixtureServer() {
+    const app = express();
+    const submissions = [];
+
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/request', fixture('request-form.html'));
+    app.post('/request', (req, res) => {
+        submissions.push({ path: req.path, query: req.query, body: req.body });
+        fixture('confirmation.html')(req, res);
+    });
+
+    app.get('/invalid', fixture('request-form.html'));
+    app.post('/invalid', (req, res) => {
+        submissions.push({ path: req.path, query: req.query, body: req.body });
+        fixture('validation-error.html')(req, res);
+    });
+
+    app.get('/booked', fixture('booked.html'));
+    app.get('/expired', fixture('expired.html'));
+    app.get('/challenge', fixture('challenge.html'));
+    app.get('/appointments/availability/', (req, res) => {
+        if (req.query.clinician !== '42') return fixture('availability-empty.html')(req, res);
+        fixture(req.query.page === '2' ? 'availability-page-2.html' : 'availability.html')(req, res);
+    });
+    app.get('/confirmation', fixture('confirmation.html'));
+    app.get('/validation-error', fixture('validation-error.html'));
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        submissions,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startFixtureServer };
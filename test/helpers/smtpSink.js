@@ -0,0 +1,70 @@
+const net = require('net');
+
+/**
+ * Minimal SMTP server that accepts every message and keeps it in memory.
+ * Enough of the protocol for nodemailer over plain SMTP (no TLS, no auth).
+ * @returns {Promise<Object>} { port, messages, close }
+ */
+async function startSmtpSink() {
+    const messages = [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let current = { from: null, to: [], data: '' };
+
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 smtp-sink ready');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(current);
+                        current = { from: null, to: [], data: '' };
+                        reply('250 OK: queued');
+                    } else {
+                        current.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 smtp-sink');
+                } else if (command === 'MAIL') {
+                    current.from = line.slice(10).replace(/[<>]/g, '').trim();
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    current.to.push(line.slice(8).replace(/[<>]/g, '').trim());
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startSmtpSink };
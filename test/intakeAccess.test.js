@@ -0,0 +1,62 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { startApiServer } = require('./helpers/apiServer');
+
+const APPOINTMENT_ID = '507f1f77bcf86cd799439011';
+
+describe('intake callers', () => {
+    let api;
+
+    before(async () => {
+        api = await startApiServer();
+    });
+
+    after(() => api.close());
+
+    afterEach(() => mock.restoreAll());
+
+    const stubFindById = appointment => mock.method(AppointmentStatus, 'findById', () => ({
+        select: async () => appointment
+    }));
+
+    const upload = role => api.request(`/api/appointments/${APPOINTMENT_ID}/documents`, {
+        role,
+        method: 'POST',
+        body: new FormData()
+    });
+
+    it('only upload documents to requests they submitted', async () => {
+        stubFindById({ _id: APPOINTMENT_ID, documents: [], createdBy: 'someone-else' });
+        assert.equal((await upload('intake')).status, 404);
+
+        // Past the access check, an upload without files is rejected on its own merits
+        stubFindById({ _id: APPOINTMENT_ID, documents: [], createdBy: 'intake' });
+        assert.equal((await upload('intake')).status, 400);
+    });
+
+    it('are refused before the upload is read', async () => {
+        stubFindById({ _id: APPOINTMENT_ID, documents: [], createdBy: 'someone-else' });
+
+        // Parsing this body would fail; the access check answers first
+        const response = await api.request(`/api/appointments/${APPOINTMENT_ID}/documents`, {
+            role: 'intake',
+            method: 'POST',
+            headers: { 'Content-Type': 'multipart/form-data' },
+            body: 'not a multipart body'
+        });
+        assert.equal(response.status, 404);
+    });
+
+    it('only follow requests they submitted', async () => {
+        stubFindById({ _id: APPOINTMENT_ID, status: 'unknown', createdBy: null });
+
+        const response = await api.request(`/api/appointments/${APPOINTMENT_ID}/events`, { role: 'intake' });
+        assert.equal(response.status, 404);
+    });
+
+    it('leave staff access to every request alone', async () => {
+        stubFindById({ _id: APPOINTMENT_ID, documents: [], createdBy: 'intake' });
+        assert.equal((await upload('staff')).status, 400);
+    });
+});
@@ -0,0 +1,133 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const therapyportal = require('../portals/therapyportal');
+const { validatePortalProfile } = require('../portals');
+const {
+    renderTemplate,
+    renderIntakeNotes,
+    submittedLength,
+    truncateText,
+    resetTemplateOverride
+} = require('../services/intakeNotesService');
+
+const intake = {
+    firstName: 'Jane',
+    comments: 'Prefers afternoon sessions',
+    insurance: 'Aetna',
+    memberId: 'W123456789',
+    previousTherapy: 'yes',
+    takingMedication: 'no',
+    mentalHealthDiagnosis: 'Generalised anxiety disorder',
+    reasonForTherapy: 'Panic attacks before meetings',
+    hasMedicationHistory: 'yes',
+    medicationHistory: 'Sertraline 2019-2021',
+    fileUrls: ['https://files.example/card.pdf', 'https://files.example/referral.pdf']
+};
+
+describe('renderTemplate', () => {
+    it('drops lines whose placeholders are empty and collapses blank lines', () => {
+        const { text, fields } = renderTemplate(
+            ['{{comments}}', '', 'Reason: {{reasonForTherapy}}', '', '', 'Insurance: {{insurance}} / {{memberId}}'],
+            { comments: '', reasonForTherapy: 'Stress', insurance: 'Aetna', memberId: '' }
+        );
+
+        assert.equal(text, 'Reason: Stress');
+        assert.deepEqual(fields, ['reasonForTherapy']);
+    });
+
+    it('does not expand placeholders typed by the patient', () => {
+        const { text } = renderTemplate(['Reason: {{reasonForTherapy}}'], { reasonForTherapy: 'see {{memberId}}', memberId: 'X1' });
+        assert.equal(text, 'Reason: see {{memberId}}');
+    });
+});
+
+describe('renderIntakeNotes', () => {
+    afterEach(() => {
+        config.portal.notesTemplate = '';
+        resetTemplateOverride();
+    });
+
+    it('renders the full intake with the therapyportal template', () => {
+        const { text, fields, truncated } = renderIntakeNotes(intake, therapyportal.notes);
+
+        assert.equal(text, [
+            'Prefers afternoon sessions',
+            '',
+            'Reason for therapy: Panic attacks before meetings',
+            'Diagnosis: Generalised anxiety disorder',
+            'Previous therapy: Yes',
+            'Currently taking medication: No',
+            'Medication history: Sertraline 2019-2021',
+            '',
+            'Insurance: Aetna',
+            'Member ID: W123456789',
+            'Documents: https://files.example/card.pdf, https://files.example/referral.pdf'
+        ].join('\n'));
+        assert.ok(fields.includes('fileUrls'));
+        assert.equal(truncated, false);
+    });
+
+    it('leaves a patient comment alone when there is nothing else to add', () => {
+        const { text } = renderIntakeNotes({ comments: 'Prefers afternoon sessions' }, therapyportal.notes);
+        assert.equal(text, 'Prefers afternoon sessions');
+    });
+
+    it('shortens fields in truncate order before cutting the whole text', () => {
+        const long = {
+            ...intake,
+            medicationHistory: 'Sertraline, then escitalopram, '.repeat(20),
+            reasonForTherapy: 'Panic attacks before meetings. '.repeat(20)
+        };
+        const { text, truncated } = renderIntakeNotes(long, { ...therapyportal.notes, maxLength: 500 });
+
+        assert.equal(truncated, true);
+        assert.ok(submittedLength(text) <= 500);
+        // Medication history is shortened first, down to minLength
+        assert.match(text, /Medication history: .{70,80}…\n/);
+        // Every answered question still has its line
+        assert.match(text, /Member ID: W123456789/);
+        assert.match(text, /Documents: /);
+    });
+
+    it('uses the lower of the profile and page limits', () => {
+        const { text } = renderIntakeNotes(intake, therapyportal.notes, { maxLength: 120 });
+        assert.ok(submittedLength(text) <= 120);
+        assert.ok(text.endsWith('…'));
+    });
+
+    it('counts line breaks the way the portal receives them', () => {
+        assert.equal(submittedLength('a\nb'), 4);
+    });
+
+    it('loads a replacement template from INTAKE_NOTES_TEMPLATE', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notes-template-')), 'notes.txt');
+        fs.writeFileSync(file, 'Why: {{reasonForTherapy}}\nPayer: {{insurance}}\n');
+        config.portal.notesTemplate = file;
+        resetTemplateOverride();
+
+        const { text } = renderIntakeNotes(intake, therapyportal.notes);
+        assert.equal(text, 'Why: Panic attacks before meetings\nPayer: Aetna');
+
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+});
+
+describe('truncateText', () => {
+    it('cuts at a word boundary when one is close', () => {
+        assert.equal(truncateText('the quick brown fox jumps', 20), 'the quick brown fox…');
+        assert.equal(truncateText('short', 20), 'short');
+    });
+});
+
+describe('portal profile notes', () => {
+    it('must point at a mapped field', () => {
+        assert.throws(
+            () => validatePortalProfile({ ...therapyportal, notes: { ...therapyportal.notes, field: 'insurance' } }),
+            /notes.field must name a field mapped in fields/
+        );
+    });
+});
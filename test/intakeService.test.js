@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIntake, validateIntake, extractClinicianId } = require('../services/intakeService');
+
+const intake = {
+    firstName: 'Jane',
+    lastName: 'Doe',
+    dateOfBirth: '04/12/1988',
+    phone: '(555) 123-4567',
+    email: 'jane@example.com',
+    href: 'https://portal.example/request?clinician=42',
+    previousTherapy: 'no',
+    takingMedication: 'no',
+    reasonForTherapy: 'Stress',
+    hasMedicationHistory: 'no'
+};
+
+describe('normalizeIntake', () => {
+    it('trims strings, lower-cases email and yes/no answers and derives clinicianId', () => {
+        const data = normalizeIntake({
+            ...intake,
+            firstName: '  Jane ',
+            email: ' Jane@Example.COM ',
+            previousTherapy: 'YES',
+            fileUrls: [' https://files.example/card.pdf ', '']
+        });
+
+        assert.equal(data.firstName, 'Jane');
+        assert.equal(data.email, 'jane@example.com');
+        assert.equal(data.previousTherapy, 'yes');
+        assert.equal(data.clinicianId, '42');
+        assert.deepEqual(data.fileUrls, ['https://files.example/card.pdf']);
+    });
+
+    it('drops fields the server owns', () => {
+        const data = normalizeIntake({ ...intake, status: 'booked', clinicianId: '99', processingLog: [] });
+
+        assert.equal(data.status, undefined);
+        assert.equal(data.processingLog, undefined);
+        assert.equal(data.clinicianId, '42');
+    });
+});
+
+describe('extractClinicianId', () => {
+    it('reads the clinician query parameter', () => {
+        assert.equal(extractClinicianId('https://portal.example/request?clinician=7&slot=1'), '7');
+        assert.equal(extractClinicianId('https://portal.example/request'), '');
+        assert.equal(extractClinicianId('not a url'), '');
+    });
+});
+
+describe('validateIntake', () => {
+    it('accepts a complete intake', async () => {
+        const { appointment, errors } = await validateIntake(intake);
+
+        assert.equal(errors, null);
+        assert.equal(appointment.status, 'unknown');
+        assert.equal(appointment.clinicianId, '42');
+    });
+
+    it('reports every missing required field', async () => {
+        const { errors } = await validateIntake({});
+
+        for (const field of ['firstName', 'lastName', 'dateOfBirth', 'phone', 'email', 'href', 'reasonForTherapy']) {
+            assert.match(errors[field], /is required/, field);
+        }
+        assert.equal(errors.clinicianId, undefined);
+    });
+
+    it('checks email, phone and date of birth formats', async () => {
+        const { errors } = await validateIntake({
+            ...intake,
+            email: 'jane@example',
+            phone: '555-1234',
+            dateOfBirth: '1988-04-12'
+        });
+
+        assert.equal(errors.email, 'Email address is not valid');
+        assert.match(errors.phone, /at least 10 digits/);
+        assert.match(errors.dateOfBirth, /MM\/DD\/YYYY/);
+    });
+
+    it('requires an absolute href with a clinician', async () => {
+        const relative = await validateIntake({ ...intake, href: '/request?clinician=42' });
+        assert.equal(relative.errors.href, 'href must be an absolute URL');
+
+        const noClinician = await validateIntake({ ...intake, href: 'https://portal.example/request' });
+        assert.equal(noClinician.errors.href, 'href must include a clinician query parameter');
+    });
+
+    it('requires fileUrls to be a list of http(s) URLs', async () => {
+        const notList = await validateIntake({ ...intake, fileUrls: 'https://files.example/card.pdf' });
+        assert.match(notList.errors.fileUrls, /array/);
+
+        const badScheme = await validateIntake({ ...intake, fileUrls: ['ftp://files.example/card.pdf'] });
+        assert.match(badScheme.errors.fileUrls, /http or https/);
+    });
+
+    it('requires the medication history once the patient says there is one', async () => {
+        const { errors } = await validateIntake({ ...intake, hasMedicationHistory: 'Yes' });
+        assert.match(errors.medicationHistory, /required/);
+    });
+
+    it('names the allowed values of yes/no answers', async () => {
+        const { errors } = await validateIntake({ ...intake, takingMedication: 'maybe' });
+        assert.equal(errors.takingMedication, 'takingMedication must be one of: yes, no');
+    });
+});
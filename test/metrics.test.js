@@ -0,0 +1,62 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const config = require('../config');
+const { bookingAttempts, observeHttpRequests, getMetrics } = require('../services/metricsService');
+const { verifyMetricsToken } = require('../services/authService');
+
+describe('metrics', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(observeHttpRequests);
+        app.get('/api/appointments/:id', (req, res) => res.status(404).json({ error: 'Appointment not found' }));
+
+        server = await new Promise(resolve => {
+            const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('labels HTTP requests by route pattern rather than URL', async () => {
+        await fetch(`${baseUrl}/api/appointments/507f1f77bcf86cd799439011`);
+        await fetch(`${baseUrl}/nowhere`);
+
+        const { body } = await getMetrics();
+        assert.match(body, /scrapper_http_requests_total\{method="GET",route="\/api\/appointments\/:id",status_code="404"\} 1/);
+        assert.match(body, /scrapper_http_requests_total\{method="GET",route="unmatched",status_code="404"\} 1/);
+        assert.doesNotMatch(body, /507f1f77bcf86cd799439011/);
+    });
+
+    it('exposes booking outcomes and skips appointment counts without a database', async () => {
+        bookingAttempts.inc({ outcome: 'booked' });
+
+        const { contentType, body } = await getMetrics();
+        assert.match(contentType, /^text\/plain/);
+        assert.match(body, /scrapper_booking_attempts_total\{outcome="booked"\} 1/);
+        assert.match(body, /# TYPE scrapper_booking_duration_seconds histogram/);
+        assert.doesNotMatch(body, /scrapper_appointments\{/);
+    });
+});
+
+describe('verifyMetricsToken', () => {
+    const originalToken = config.metrics.token;
+
+    afterEach(() => {
+        config.metrics.token = originalToken;
+    });
+
+    it('is open without a token and checks the bearer token otherwise', () => {
+        config.metrics.token = '';
+        assert.equal(verifyMetricsToken(undefined), true);
+
+        config.metrics.token = 'scrape-me';
+        assert.equal(verifyMetricsToken('Bearer scrape-me'), true);
+        assert.equal(verifyMetricsToken('Bearer wrong'), false);
+        assert.equal(verifyMetricsToken(undefined), false);
+    });
+});
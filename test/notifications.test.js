@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const config = require('../config');
+const { signPayload, buildStatusPayload, deliverWithRetry } = require('../services/webhookService');
+const { notifyByEmail, resetTransport } = require('../services/emailService');
+const { startSmtpSink } = require('./helpers/smtpSink');
+
+const appointment = {
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Jane',
+    lastName: 'Doe',
+    email: 'jane.doe@example.com',
+    clinicianId: '42',
+    clinicianName: 'Dr. Fixture',
+    appointmentType: 'Initial Consultation',
+    appointmentDate: '03/10/2025',
+    appointmentTime: '10:00 AM',
+    href: 'https://www.therapyportal.com/p/demo/appointments/request/?clinician=42'
+};
+
+const event = {
+    appointment,
+    oldStatus: 'unknown',
+    newStatus: 'booked',
+    outcome: 'success',
+    occurredAt: new Date('2025-03-01T12:00:00Z')
+};
+
+describe('webhook delivery', () => {
+    let server;
+    let url;
+    const received = [];
+    let failuresBeforeSuccess = 0;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                if (failuresBeforeSuccess > 0) {
+                    failuresBeforeSuccess--;
+                    res.writeHead(500);
+                    return res.end();
+                }
+                res.writeHead(204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hooks`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('sends the status change without patient data', () => {
+        const payload = buildStatusPayload(event);
+
+        assert.equal(payload.type, 'appointment.status_changed');
+        assert.equal(payload.data.appointmentId, appointment._id.toString());
+        assert.equal(payload.data.newStatus, 'booked');
+        assert.equal(payload.data.clinicianId, '42');
+        assert.equal(JSON.stringify(payload).includes('jane.doe@example.com'), false);
+    });
+
+    it('signs the body so the receiver can verify it', async () => {
+        received.length = 0;
+        const payload = buildStatusPayload(event);
+
+        const result = await deliverWithRetry(url, payload, { secret: 'test-secret', maxAttempts: 1 });
+
+        assert.equal(result.ok, true);
+        const [request] = received;
+        const expected = signPayload(request.body, request.headers['x-webhook-timestamp'], 'test-secret');
+        assert.equal(request.headers['x-webhook-signature'], expected);
+        assert.equal(request.headers['x-webhook-id'], payload.id);
+        assert.deepEqual(JSON.parse(request.body), payload);
+    });
+
+    it('retries failed deliveries and reports every attempt', async () => {
+        received.length = 0;
+        failuresBeforeSuccess = 2;
+        const attempts = [];
+
+        const result = await deliverWithRetry(url, buildStatusPayload(event), {
+            secret: 'test-secret',
+            maxAttempts: 4,
+            retryDelayMs: 10,
+            onAttempt: attempt => attempts.push(attempt)
+        });
+
+        assert.equal(result.ok, true);
+        assert.deepEqual(attempts.map(attempt => attempt.statusCode), [500, 500, 204]);
+        assert.equal(received.length, 3);
+    });
+
+    it('gives up after the attempt budget', async () => {
+        failuresBeforeSuccess = 10;
+
+        const result = await deliverWithRetry(url, buildStatusPayload(event), {
+            secret: 'test-secret',
+            maxAttempts: 2,
+            retryDelayMs: 10
+        });
+
+        assert.equal(result.ok, false);
+        assert.equal(result.error, 'HTTP 500');
+        failuresBeforeSuccess = 0;
+    });
+});
+
+describe('email notifications', () => {
+    let sink;
+    const originalEmail = JSON.parse(JSON.stringify(config.email));
+
+    before(async () => {
+        sink = await startSmtpSink();
+        config.email.smtp = { host: '127.0.0.1', port: sink.port, secure: false, user: '', pass: '' };
+        config.email.from = 'scheduler@example.com';
+        config.email.practiceAddress = 'frontdesk@example.com';
+        config.email.notifyPatient = true;
+        resetTransport();
+    });
+
+    after(async () => {
+        resetTransport();
+        Object.assign(config.email, originalEmail);
+        await sink.close();
+    });
+
+    it('emails the patient and the practice when a request is submitted', async () => {
+        await notifyByEmail(event);
+
+        const recipients = sink.messages.map(message => message.to[0]).sort();
+        assert.deepEqual(recipients, ['frontdesk@example.com', 'jane.doe@example.com']);
+
+        const patientMail = sink.messages.find(message => message.to[0] === 'jane.doe@example.com');
+        assert.match(patientMail.data, /has been submitted/);
+    });
+
+    it('only emails the practice about failures', async () => {
+        sink.messages.length = 0;
+
+        await notifyByEmail({ ...event, newStatus: 'failed', outcome: 'error', error: 'Unknown error' });
+
+        assert.deepEqual(sink.messages.map(message => message.to[0]), ['frontdesk@example.com']);
+        assert.match(sink.messages[0].data, /Last error: Unknown error/);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect } = require('puppeteer-real-browser');
+const { loadPortalProfile } = require('../portals');
+const { PAGE_STATES, classifyPage } = require('../services/pageClassifier');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { browserUnavailableReason } = require('./helpers/browser');
+
+describe('classifyPage against portal fixtures', () => {
+    const profile = loadPortalProfile('therapyportal');
+    let portal;
+    let browser;
+    let page;
+    let skipReason;
+
+    before(async () => {
+        portal = await startFixtureServer();
+        skipReason = await browserUnavailableReason();
+        if (!skipReason) {
+            ({ browser, page } = await connect({ headless: true }));
+        }
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+        await portal.close();
+    });
+
+    const cases = [
+        { path: '/request', state: PAGE_STATES.FORM_AVAILABLE },
+        { path: '/booked', state: PAGE_STATES.ALREADY_TAKEN, evidence: /Please contact the office/ },
+        { path: '/expired', state: PAGE_STATES.EXPIRED, evidence: /very soon/ },
+        { path: '/confirmation', state: PAGE_STATES.CONFIRMED, evidence: /has been received/ },
+        { path: '/validation-error', state: PAGE_STATES.VALIDATION_ERROR, evidence: /valid date of birth/ },
+        { path: '/challenge', state: PAGE_STATES.BOT_CHALLENGE }
+    ];
+
+    for (const { path, state, evidence } of cases) {
+        it(`classifies ${path} as ${state}`, async t => {
+            if (skipReason) return t.skip(skipReason);
+
+            await page.goto(`${portal.baseUrl}${path}`, { waitUntil: 'load' });
+            const result = await classifyPage(page, profile);
+
+            assert.equal(result.state, state);
+            if (evidence) assert.match(result.evidence, evidence);
+        });
+    }
+
+    it('returns unknown with no evidence for unrelated pages', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        await page.setContent('<html><body><p>Nothing to see here</p></body></html>');
+        const result = await classifyPage(page, profile);
+
+        assert.deepEqual(result, { state: PAGE_STATES.UNKNOWN, evidence: null, selector: null });
+    });
+});
@@ -0,0 +1,181 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../config');
+const {
+    encryptValue,
+    decryptValue,
+    isEncrypted,
+    keyIdOf,
+    needsReencryption,
+    resetKeyring
+} = require('../services/encryptionService');
+const { maskValue, redactAppointment, redactText, redactError } = require('../services/redactionService');
+const AppointmentStatus = require('../models/AppointmentStatus');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+const OLD_KEY = `2025-01:${key()}`;
+const NEW_KEY = `2026-01:${key()}`;
+const originalEncryption = { ...config.encryption };
+
+function useKeys(keys, activeKeyId = '') {
+    config.encryption.keys = keys;
+    config.encryption.activeKeyId = activeKeyId;
+    resetKeyring();
+}
+
+const intake = {
+    firstName: 'Jane',
+    lastName: 'Doe',
+    dateOfBirth: '04/12/1988',
+    phone: '(555) 123-4567',
+    email: 'jane.doe@example.com',
+    href: 'https://portal.example/request?clinician=42',
+    clinicianId: '42',
+    memberId: 'XYZ123456789',
+    previousTherapy: 'no',
+    takingMedication: 'no',
+    mentalHealthDiagnosis: 'Generalised anxiety',
+    reasonForTherapy: 'Panic attacks at work',
+    hasMedicationHistory: 'no'
+};
+
+after(() => {
+    Object.assign(config.encryption, originalEncryption);
+    resetKeyring();
+});
+
+describe('encryptionService', () => {
+    beforeEach(() => useKeys([OLD_KEY]));
+
+    it('round-trips values and never repeats a ciphertext', () => {
+        const first = encryptValue('04/12/1988');
+        const second = encryptValue('04/12/1988');
+
+        assert.ok(isEncrypted(first));
+        assert.notEqual(first, second);
+        assert.ok(!first.includes('1988'));
+        assert.equal(decryptValue(first), '04/12/1988');
+    });
+
+    it('leaves empty values and plain text written before encryption alone', () => {
+        assert.equal(encryptValue(''), '');
+        assert.equal(encryptValue(null), null);
+        assert.equal(decryptValue('legacy plain text'), 'legacy plain text');
+    });
+
+    it('stores values as plain text when no key is configured', () => {
+        useKeys([]);
+        assert.equal(encryptValue('secret'), 'secret');
+    });
+
+    it('rejects tampered ciphertext', () => {
+        const sealed = encryptValue('Panic attacks');
+        const parts = sealed.split(':');
+        parts[parts.length - 1] = Buffer.from('Panic attackz').toString('base64');
+
+        assert.throws(() => decryptValue(parts.join(':')));
+    });
+
+    it('reads old values after rotation and flags them for re-encryption', () => {
+        const old = encryptValue('XYZ123456789');
+        useKeys([NEW_KEY, OLD_KEY]);
+
+        assert.equal(decryptValue(old), 'XYZ123456789');
+        assert.ok(needsReencryption(old));
+        assert.ok(needsReencryption('plain text'));
+
+        const rotated = encryptValue(decryptValue(old));
+        assert.equal(keyIdOf(rotated), '2026-01');
+        assert.ok(!needsReencryption(rotated));
+    });
+
+    it('refuses keys of the wrong length', () => {
+        useKeys(['short:' + Buffer.alloc(16).toString('base64')]);
+        assert.throws(() => encryptValue('x'), /must be 32 bytes/);
+    });
+});
+
+describe('AppointmentStatus encrypted fields', () => {
+    beforeEach(() => useKeys([OLD_KEY]));
+
+    it('stores ciphertext but reads and serialises plain text', () => {
+        const appointment = new AppointmentStatus(intake);
+        const stored = appointment.get('reasonForTherapy', null, { getters: false });
+
+        assert.ok(isEncrypted(stored));
+        assert.equal(appointment.reasonForTherapy, 'Panic attacks at work');
+        assert.equal(appointment.toObject().dateOfBirth, '04/12/1988');
+        assert.equal(JSON.parse(JSON.stringify(appointment)).memberId, 'XYZ123456789');
+        // Lookup fields stay queryable
+        assert.equal(appointment.get('email', null, { getters: false }), 'jane.doe@example.com');
+    });
+
+    it('returns null rather than ciphertext when the key is gone', () => {
+        const appointment = AppointmentStatus.hydrate({
+            _id: '507f1f77bcf86cd799439011',
+            dateOfBirth: encryptValue('04/12/1988')
+        });
+        useKeys([NEW_KEY]);
+
+        assert.equal(appointment.dateOfBirth, null);
+    });
+});
+
+describe('redactionService', () => {
+    it('masks contact details and removes clinical free text', () => {
+        assert.equal(maskValue('dateOfBirth', '04/12/1988'), '**/**/****');
+        assert.equal(maskValue('memberId', 'XYZ123456789'), '********6789');
+        assert.equal(maskValue('email', 'jane.doe@example.com'), 'j***@example.com');
+        assert.equal(maskValue('phone', '(555) 123-4567'), '***-***-4567');
+        assert.equal(maskValue('reasonForTherapy', 'Panic attacks'), '[redacted]');
+        assert.equal(maskValue('firstName', 'Jane'), 'Jane');
+    });
+
+    it('redacts serialised appointments unless the caller is privileged', () => {
+        useKeys([OLD_KEY]);
+        const appointment = new AppointmentStatus(intake);
+
+        const masked = redactAppointment(appointment);
+        assert.equal(masked.mentalHealthDiagnosis, '[redacted]');
+        assert.equal(masked.dateOfBirth, '**/**/****');
+        assert.equal(masked.clinicianId, '42');
+
+        assert.equal(redactAppointment(appointment, { privileged: true }).mentalHealthDiagnosis, 'Generalised anxiety');
+    });
+
+    it('scrubs processing log messages and the last error unless the caller is privileged', () => {
+        const appointment = {
+            _id: '1',
+            lastError: 'Could not fill phone: 555-123-4567',
+            processingLog: [{ status: 'error', timestamp: new Date(0), message: 'Cannot type jane.doe@example.com' }]
+        };
+
+        const masked = redactAppointment(appointment);
+        assert.equal(masked.lastError, 'Could not fill phone: [phone]');
+        assert.equal(masked.processingLog[0].message, 'Cannot type [email]');
+        assert.equal(appointment.processingLog[0].message, 'Cannot type jane.doe@example.com');
+        assert.equal(redactAppointment(appointment, { privileged: true }).lastError, appointment.lastError);
+    });
+
+    it('leaves fields absent from a projection absent', () => {
+        const masked = redactAppointment({ _id: '1', status: 'unknown' });
+        assert.deepEqual(masked, { _id: '1', status: 'unknown' });
+    });
+
+    it('scrubs emails, dates and phone numbers from log text', () => {
+        const text = redactText('E11000 dup key: { email: "jane.doe@example.com", dob: "04/12/1988", phone: "555-123-4567" }');
+
+        assert.ok(!text.includes('jane.doe'));
+        assert.ok(!text.includes('1988'));
+        assert.ok(!text.includes('123-4567'));
+        assert.match(text, /\[email\].*\[date\].*\[phone\]/);
+    });
+
+    it('scrubs the message inside an error stack', () => {
+        const logged = redactError(new Error('Cannot type into field: jane.doe@example.com'));
+
+        assert.match(logged, /^Error: Cannot type into field: \[email\]/);
+        assert.ok(!logged.includes('jane.doe'));
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { startApiServer } = require('./helpers/apiServer');
+
+const APPOINTMENT_ID = '507f1f77bcf86cd799439011';
+
+afterEach(() => mock.restoreAll());
+
+describe('AppointmentStatus.appendProcessingLog', () => {
+    it('pushes entries and keeps only the newest 500', async () => {
+        const updateOne = mock.method(AppointmentStatus, 'updateOne', async () => ({ matchedCount: 1 }));
+        const timestamp = new Date('2030-01-01T00:00:00Z');
+
+        await AppointmentStatus.appendProcessingLog(APPOINTMENT_ID, [
+            { status: 'attempt_started', message: 'Booking', timestamp, extra: 'dropped' },
+            { status: 'attempt_finished', message: 'Result: success' }
+        ]);
+
+        const [filter, update] = updateOne.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: APPOINTMENT_ID });
+        const { $each, $slice } = update.$push.processingLog;
+        assert.equal($slice, -500);
+        assert.deepEqual($each[0], { status: 'attempt_started', message: 'Booking', timestamp });
+        assert.ok($each[1].timestamp instanceof Date);
+    });
+
+    it('accepts a single entry', async () => {
+        const updateOne = mock.method(AppointmentStatus, 'updateOne', async () => ({ matchedCount: 1 }));
+
+        await AppointmentStatus.appendProcessingLog(APPOINTMENT_ID, { status: 'requeued', message: 'Manually requeued' });
+
+        assert.equal(updateOne.mock.calls[0].arguments[1].$push.processingLog.$each.length, 1);
+    });
+});
+
+describe('GET /api/appointments/:id/log', () => {
+    let api;
+
+    before(async () => {
+        api = await startApiServer();
+    });
+
+    after(() => api.close());
+
+    const stubFindById = appointment => mock.method(AppointmentStatus, 'findById', () => ({
+        select: async () => appointment
+    }));
+
+    it('returns the status and processing log', async () => {
+        const timestamp = new Date('2030-01-01T00:00:00Z');
+        stubFindById({
+            _id: APPOINTMENT_ID,
+            status: 'unknown',
+            processingLog: [{ status: 'attempt_started', message: 'Booking', timestamp }]
+        });
+
+        const response = await api.request(`/api/appointments/${APPOINTMENT_ID}/log`, { role: 'staff' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), {
+            id: APPOINTMENT_ID,
+            status: 'unknown',
+            processingLog: [{ status: 'attempt_started', message: 'Booking', timestamp: timestamp.toISOString() }]
+        });
+    });
+
+    it('scrubs patient details from messages unless the caller is privileged', async () => {
+        const timestamp = new Date('2030-01-01T00:00:00Z');
+        const message = 'Submit button interaction failed: jane@example.com, 04/12/1988';
+        stubFindById({
+            _id: APPOINTMENT_ID,
+            status: 'unknown',
+            processingLog: [{ status: 'error', message, timestamp }]
+        });
+
+        const staff = await (await api.request(`/api/appointments/${APPOINTMENT_ID}/log`, { role: 'staff' })).json();
+        assert.equal(staff.processingLog[0].message, 'Submit button interaction failed: [email], [date]');
+
+        const admin = await (await api.request(`/api/appointments/${APPOINTMENT_ID}/log`, { role: 'admin' })).json();
+        assert.equal(admin.processingLog[0].message, message);
+    });
+
+    it('rejects malformed and unknown ids', async () => {
+        stubFindById(null);
+
+        assert.equal((await api.request('/api/appointments/nope/log', { role: 'staff' })).status, 400);
+        assert.equal((await api.request(`/api/appointments/${APPOINTMENT_ID}/log`, { role: 'staff' })).status, 404);
+    });
+
+    it('needs appointments:read', async () => {
+        assert.equal((await api.request(`/api/appointments/${APPOINTMENT_ID}/log`)).status, 401);
+        assert.equal((await api.request(`/api/appointments/${APPOINTMENT_ID}/log`, { role: 'intake' })).status, 403);
+    });
+});
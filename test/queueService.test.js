@@ -0,0 +1,358 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { statusEvents } = require('../services/statusEvents');
+const {
+    claimNextAppointment,
+    renewLease,
+    releaseLease,
+    reclaimStaleLeases,
+    computeRetryDelay,
+    recordAttemptOutcome,
+    requeueAppointment,
+    bookAppointment,
+    processClaimedAppointment,
+    LEASE_LOST
+} = require('../services/queueService');
+const config = require('../config');
+
+const NOW = new Date('2030-01-07T15:00:00Z');
+const APPOINTMENT_ID = '507f1f77bcf86cd799439011';
+const OWNER = 'host:1:abcd#0';
+
+const originalQueue = { ...config.queue };
+const originalPolicy = config.duplicates.policy;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    Object.assign(config.queue, { retryBaseDelayMs: 60 * 1000, retryMaxDelayMs: 60 * 60 * 1000, maxAttempts: 5 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    Object.assign(config.queue, originalQueue);
+    config.duplicates.policy = originalPolicy;
+});
+
+/**
+ * Stub the writes recordAttemptOutcome makes; returns the recorded update and log entries
+ */
+function stubOutcomeWrites() {
+    const writes = { filter: null, update: null, log: [] };
+    mock.method(AppointmentStatus, 'findOneAndUpdate', async (filter, update) => {
+        writes.filter = filter;
+        writes.update = update;
+        return { _id: filter._id, ...update };
+    });
+    mock.method(AppointmentStatus, 'appendProcessingLog', async (id, entry) => {
+        writes.log.push(entry);
+    });
+    return writes;
+}
+
+/**
+ * Collect the statusChanged events emitted while a test runs
+ */
+function recordStatusChanges() {
+    const events = [];
+    const listener = event => events.push(event);
+    statusEvents.on('statusChanged', listener);
+    return {
+        events,
+        // Listeners are called on a microtask
+        stop: async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            statusEvents.off('statusChanged', listener);
+        }
+    };
+}
+
+describe('leases', () => {
+    it('claims the oldest due, unleased appointment and leases it to the worker', async () => {
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+
+        await claimNextAppointment(OWNER, { leaseMs: 60 * 1000 });
+
+        const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, {
+            status: 'unknown',
+            $and: [
+                { $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: NOW } }] },
+                { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: NOW } }] }
+            ]
+        });
+        assert.deepEqual(update, {
+            $set: { leaseOwner: OWNER, leaseExpiresAt: new Date(NOW.getTime() + 60 * 1000) }
+        });
+        assert.deepEqual(options, { sort: { createdAt: 1 }, new: true });
+    });
+
+    it('skips appointments already attempted in this run', async () => {
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+
+        await claimNextAppointment(OWNER, { exclude: [APPOINTMENT_ID] });
+
+        const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter._id, { $nin: [APPOINTMENT_ID] });
+        assert.deepEqual(update.$set.leaseExpiresAt, new Date(NOW.getTime() + config.queue.leaseMs));
+    });
+
+    it('renews only a lease the worker still owns', async () => {
+        const updateOne = mock.method(AppointmentStatus, 'updateOne', async () => ({ matchedCount: 0 }));
+
+        assert.equal(await renewLease(APPOINTMENT_ID, OWNER, 30 * 1000), false);
+
+        const [filter, update] = updateOne.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: APPOINTMENT_ID, leaseOwner: OWNER });
+        assert.deepEqual(update, { $set: { leaseExpiresAt: new Date(NOW.getTime() + 30 * 1000) } });
+
+        updateOne.mock.mockImplementation(async () => ({ matchedCount: 1 }));
+        assert.equal(await renewLease(APPOINTMENT_ID, OWNER), true);
+    });
+
+    it('releases only its own lease', async () => {
+        const updateOne = mock.method(AppointmentStatus, 'updateOne', async () => ({ matchedCount: 1 }));
+
+        await releaseLease(APPOINTMENT_ID, OWNER);
+
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [
+            { _id: APPOINTMENT_ID, leaseOwner: OWNER },
+            { $set: { leaseOwner: null, leaseExpiresAt: null } }
+        ]);
+    });
+
+    it('reclaims expired leases and logs it on each record', async () => {
+        const updateMany = mock.method(AppointmentStatus, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+        assert.equal(await reclaimStaleLeases(), 2);
+
+        const [filter, update] = updateMany.mock.calls[0].arguments;
+        assert.deepEqual(filter, { leaseOwner: { $ne: null }, leaseExpiresAt: { $lt: NOW } });
+        assert.deepEqual(update.$set, { leaseOwner: null, leaseExpiresAt: null });
+        assert.equal(update.$push.processingLog.$slice, -500);
+        assert.equal(update.$push.processingLog.$each[0].status, 'lease_reclaimed');
+        assert.deepEqual(update.$push.processingLog.$each[0].timestamp, NOW);
+    });
+});
+
+describe('computeRetryDelay', () => {
+    it('doubles from the base delay up to the cap', () => {
+        assert.deepEqual([1, 2, 3, 4, 6, 7, 10].map(computeRetryDelay), [
+            60 * 1000,
+            2 * 60 * 1000,
+            4 * 60 * 1000,
+            8 * 60 * 1000,
+            32 * 60 * 1000,
+            60 * 60 * 1000,
+            60 * 60 * 1000
+        ]);
+        assert.equal(computeRetryDelay(0), 60 * 1000);
+    });
+});
+
+describe('recordAttemptOutcome', () => {
+    const appointment = { _id: APPOINTMENT_ID, status: 'unknown', attemptCount: 2, fallback: null };
+
+    it('schedules a retry with backoff while attempts are left', async () => {
+        const writes = stubOutcomeWrites();
+        const changes = recordStatusChanges();
+
+        assert.equal(await recordAttemptOutcome(appointment, 'error', 'Timeout'), 'unknown');
+        await changes.stop();
+
+        assert.deepEqual(writes.update, {
+            attemptCount: 3,
+            lastAttemptAt: NOW,
+            lastOutcome: 'error',
+            lastError: 'Timeout',
+            nextAttemptAt: new Date(NOW.getTime() + 4 * 60 * 1000)
+        });
+        assert.equal(writes.log[0].status, 'retry_scheduled');
+        assert.match(writes.log[0].message, /Attempt 3 of 5 failed, next attempt at 2030-01-07T15:04:00.000Z/);
+        assert.equal(changes.events.length, 0);
+    });
+
+    it('moves to failed once the attempt budget is spent', async () => {
+        const writes = stubOutcomeWrites();
+        const changes = recordStatusChanges();
+
+        const status = await recordAttemptOutcome({ ...appointment, attemptCount: 4 }, 'unknown', null);
+        await changes.stop();
+
+        assert.equal(status, 'failed');
+        assert.equal(writes.update.attemptCount, 5);
+        assert.equal(writes.update.nextAttemptAt, null);
+        assert.equal(writes.update.lastError, 'Unknown error');
+        assert.match(writes.log[0].message, /Giving up after 5 attempts: Unknown error/);
+        assert.equal(changes.events[0].newStatus, 'failed');
+    });
+
+    it('treats a confirmation and a slot held by someone else as booked', async () => {
+        for (const result of ['success', 'booked']) {
+            const writes = stubOutcomeWrites();
+            assert.equal(await recordAttemptOutcome(appointment, result), 'booked');
+            assert.equal(writes.update.lastError, null);
+            assert.equal(writes.update.nextAttemptAt, null);
+            mock.restoreAll();
+        }
+    });
+
+    it('expires without a retry', async () => {
+        const writes = stubOutcomeWrites();
+
+        assert.equal(await recordAttemptOutcome(appointment, 'expired'), 'expired');
+        assert.equal(writes.update.nextAttemptAt, null);
+        assert.equal(writes.log.length, 0);
+    });
+});
+
+describe('lost leases', () => {
+    const appointment = { _id: APPOINTMENT_ID, status: 'unknown', attemptCount: 2, fallback: null };
+
+    it('writes the outcome only while the worker still holds the lease', async () => {
+        const writes = stubOutcomeWrites();
+
+        assert.equal(await recordAttemptOutcome(appointment, 'success', null, { owner: OWNER }), 'booked');
+        assert.deepEqual(writes.filter, { _id: APPOINTMENT_ID, leaseOwner: OWNER });
+    });
+
+    it('records nothing once another worker has taken the record over', async () => {
+        mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+        const appendProcessingLog = mock.method(AppointmentStatus, 'appendProcessingLog', async () => {});
+        mock.method(console, 'error', () => {});
+        const changes = recordStatusChanges();
+
+        assert.equal(await recordAttemptOutcome(appointment, 'error', 'Timeout', { owner: OWNER }), LEASE_LOST);
+        await changes.stop();
+
+        assert.equal(appendProcessingLog.mock.callCount(), 0);
+        assert.equal(changes.events.length, 0);
+    });
+
+    it('does not book after the lease was lost', async () => {
+        config.duplicates.policy = 'allow';
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+        const appendProcessingLog = mock.method(AppointmentStatus, 'appendProcessingLog', async () => {});
+        mock.method(console, 'error', () => {});
+        const lease = new AbortController();
+        lease.abort();
+
+        const record = new AppointmentStatus({ href: 'https://portal.example/request?clinician=42', status: 'unknown' });
+        const status = await bookAppointment(record, { dryRun: false, owner: OWNER, signal: lease.signal });
+
+        assert.equal(status, LEASE_LOST);
+        const [, entries] = appendProcessingLog.mock.calls[0].arguments;
+        assert.ok(entries.some(entry => entry.status === 'aborted'));
+        assert.match(entries.at(-1).message, /Booking aborted before submitting/);
+        assert.equal(findOneAndUpdate.mock.calls[0].arguments[0].leaseOwner, OWNER);
+    });
+});
+
+describe('processClaimedAppointment', () => {
+    it('stops the attempt when the heartbeat finds the lease gone', async () => {
+        mock.timers.reset();
+        config.queue.heartbeatMs = 5;
+        config.duplicates.policy = 'warn';
+        // The duplicate lookup outlasts a heartbeat, which finds the lease taken
+        mock.method(AppointmentStatus, 'find', () => ({
+            sort: () => ({ select: () => new Promise(resolve => setTimeout(() => resolve([]), 50)) })
+        }));
+        const updateOne = mock.method(AppointmentStatus, 'updateOne', async () => ({ matchedCount: 0 }));
+        mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+        const appendProcessingLog = mock.method(AppointmentStatus, 'appendProcessingLog', async () => {});
+        mock.method(console, 'error', () => {});
+
+        const record = new AppointmentStatus({
+            href: 'https://portal.example/request?clinician=42',
+            phone: '(555) 123-4567',
+            email: 'jane@example.com',
+            status: 'unknown'
+        });
+        assert.equal(await processClaimedAppointment(record, OWNER, { dryRun: false }), LEASE_LOST);
+
+        assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: record._id, leaseOwner: OWNER });
+        const [, entries] = appendProcessingLog.mock.calls[0].arguments;
+        assert.ok(entries.some(entry => entry.status === 'aborted'));
+    });
+});
+
+describe('requeueAppointment', () => {
+    it('resets the attempt budget of a requeueable record', async () => {
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', () => ({
+            select: async () => ({ status: 'failed' })
+        }));
+        const appendProcessingLog = mock.method(AppointmentStatus, 'appendProcessingLog', async () => {});
+        mock.method(AppointmentStatus, 'findById', () => ({
+            select: async () => ({ _id: APPOINTMENT_ID, status: 'unknown', attemptCount: 0 })
+        }));
+        const changes = recordStatusChanges();
+
+        const requeued = await requeueAppointment(APPOINTMENT_ID);
+        await changes.stop();
+
+        assert.equal(requeued.attemptCount, 0);
+        const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: APPOINTMENT_ID, status: { $in: ['failed', 'unknown', 'cancelled'] } });
+        assert.deepEqual(update, { $set: { status: 'unknown', attemptCount: 0, lastError: null, nextAttemptAt: null } });
+        assert.equal(appendProcessingLog.mock.calls[0].arguments[1].status, 'requeued');
+        assert.deepEqual(
+            changes.events.map(({ oldStatus, newStatus, outcome }) => ({ oldStatus, newStatus, outcome })),
+            [{ oldStatus: 'failed', newStatus: 'unknown', outcome: 'requeued' }]
+        );
+    });
+
+    it('clears the duplicate link when duplicates are ignored', async () => {
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', () => ({
+            select: async () => ({ status: 'cancelled' })
+        }));
+        mock.method(AppointmentStatus, 'appendProcessingLog', async () => {});
+        mock.method(AppointmentStatus, 'findById', () => ({ select: async () => ({ _id: APPOINTMENT_ID }) }));
+
+        await requeueAppointment(APPOINTMENT_ID, { ignoreDuplicates: true });
+
+        const { $set } = findOneAndUpdate.mock.calls[0].arguments[1];
+        assert.equal($set.ignoreDuplicates, true);
+        assert.equal($set.duplicateOf, null);
+    });
+
+    it('leaves booked and expired records alone', async () => {
+        mock.method(AppointmentStatus, 'findOneAndUpdate', () => ({ select: async () => null }));
+        const appendProcessingLog = mock.method(AppointmentStatus, 'appendProcessingLog', async () => {});
+
+        assert.equal(await requeueAppointment(APPOINTMENT_ID), null);
+        assert.equal(appendProcessingLog.mock.callCount(), 0);
+    });
+});
+
+describe('dry runs from the queue', () => {
+    it('skips records dry-run within the last retryMaxDelayMs', async () => {
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+
+        await claimNextAppointment(OWNER, { dryRun: true });
+
+        const { $and } = findOneAndUpdate.mock.calls[0].arguments[0];
+        assert.deepEqual($and[2], {
+            $or: [{ lastDryRunAt: null }, { lastDryRunAt: { $lte: new Date(NOW.getTime() - 60 * 60 * 1000) } }]
+        });
+    });
+
+    it('records a failed dry run without touching the attempt fields', async () => {
+        const appointment = new AppointmentStatus({ href: 'not a url', status: 'unknown', attemptCount: 2 });
+        const updateOne = mock.method(AppointmentStatus, 'updateOne', async () => ({ matchedCount: 1 }));
+        const findOneAndUpdate = mock.method(AppointmentStatus, 'findOneAndUpdate', async () => null);
+        const appendProcessingLog = mock.method(AppointmentStatus, 'appendProcessingLog', async () => {
+            throw new Error('connection reset');
+        });
+        mock.method(console, 'error', () => {});
+
+        assert.equal(await bookAppointment(appointment, { dryRun: true }), 'error');
+
+        assert.equal(findOneAndUpdate.mock.callCount(), 0);
+        assert.equal(appendProcessingLog.mock.calls.at(-1).arguments[1].status, 'dry_run_error');
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [
+            { _id: appointment._id },
+            { $set: { lastDryRunAt: NOW } }
+        ]);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentStatus = require('../models/AppointmentStatus');
+const { scheduleJob, stopJob, stopAllJobs, getJobStatus } = require('../services/schedulerService');
+const { startApiServer } = require('./helpers/apiServer');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('schedulerService', () => {
+    afterEach(() => stopAllJobs());
+
+    it('runs a job right away and then on every interval', async () => {
+        let runs = 0;
+        scheduleJob('counter', 20, async () => {
+            runs++;
+        });
+        assert.equal(runs, 1);
+
+        await wait(70);
+        assert.ok(runs >= 2, `ran ${runs} times`);
+        assert.ok(getJobStatus('counter').lastFinishedAt instanceof Date);
+    });
+
+    it('waits a full interval when runImmediately is off', async () => {
+        let runs = 0;
+        scheduleJob('later', 1000, async () => {
+            runs++;
+        }, { runImmediately: false });
+
+        await wait(20);
+        assert.equal(runs, 0);
+        assert.equal(getJobStatus('later').lastStartedAt, null);
+    });
+
+    it('never overlaps a job with itself', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        let runs = 0;
+        scheduleJob('slow', 10, async () => {
+            running++;
+            runs++;
+            maxRunning = Math.max(maxRunning, running);
+            await wait(50);
+            running--;
+        });
+
+        await wait(80);
+        assert.equal(maxRunning, 1);
+        assert.ok(runs <= 2, `ran ${runs} times`);
+    });
+
+    it('records the last error and clears it after a successful tick', async () => {
+        let fail = true;
+        const consoleError = mock.method(console, 'error', () => {});
+        scheduleJob('flaky', 20, async () => {
+            if (fail) throw new Error('Mongo unreachable');
+        });
+        await wait(5);
+        assert.equal(getJobStatus('flaky').lastError, 'Mongo unreachable');
+        consoleError.mock.restore();
+
+        fail = false;
+        await wait(40);
+        assert.equal(getJobStatus('flaky').lastError, null);
+    });
+
+    it('refuses a second job with the same name', () => {
+        scheduleJob('unique', 1000, async () => {}, { runImmediately: false });
+        assert.throws(() => scheduleJob('unique', 1000, async () => {}), /already scheduled/);
+    });
+
+    it('stops a job after its running tick has finished', async () => {
+        let finished = false;
+        scheduleJob('stoppable', 1000, async () => {
+            await wait(30);
+            finished = true;
+        });
+
+        await stopJob('stoppable');
+        assert.equal(finished, true);
+        assert.equal(getJobStatus('stoppable'), null);
+    });
+});
+
+describe('GET /api/queue', () => {
+    let api;
+
+    before(async () => {
+        api = await startApiServer();
+    });
+
+    after(() => api.close());
+
+    afterEach(() => mock.restoreAll());
+
+    it('reports run state, record counts and background jobs', async () => {
+        const counts = [3, 1, 0, 2];
+        mock.method(AppointmentStatus, 'countDocuments', async () => counts.shift());
+
+        const response = await api.request('/api/queue', { role: 'staff' });
+        assert.equal(response.status, 200);
+
+        const body = await response.json();
+        assert.deepEqual(body.counts, { pending: 3, waitingRetry: 1, inFlight: 0, failed: 2 });
+        assert.equal(body.running, false);
+        assert.equal(body.scheduler, null);
+        assert.equal(body.browserPool.waiting, 0);
+        assert.equal(typeof body.workerId, 'string');
+    });
+
+    it('needs queue:read', async () => {
+        assert.equal((await api.request('/api/queue', { role: 'intake' })).status, 403);
+    });
+
+    it('answers 500 when the counts fail', async () => {
+        mock.method(AppointmentStatus, 'countDocuments', async () => {
+            throw new Error('connection closed');
+        });
+        mock.method(console, 'error', () => {});
+
+        assert.equal((await api.request('/api/queue', { role: 'staff' })).status, 500);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { loadPortalProfile, validatePortalProfile } = require('../portals');
+const { buildAvailabilityUrl, normalizeSlots, crawlClinicianPages } = require('../services/slotCrawler');
+const { shutdownBrowserPool } = require('../services/browserPool');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const { browserUnavailableReason } = require('./helpers/browser');
+
+const profile = loadPortalProfile('therapyportal');
+
+describe('availability helpers', () => {
+    it('builds the first availability page from the base URL', () => {
+        assert.equal(
+            buildAvailabilityUrl(profile, 'https://www.therapyportal.com/p/demo/', '42'),
+            'https://www.therapyportal.com/p/demo/appointments/availability/?clinician=42'
+        );
+    });
+
+    it('normalizes slots and drops duplicates and unusable links', () => {
+        const slots = normalizeSlots([
+            { href: 'https://portal.example/request?clinician=7&slot=1', appointmentDate: 'Monday, March 11, 2030', appointmentTime: '9:00 AM', appointmentType: '' },
+            { href: 'https://portal.example/request?clinician=7&slot=1', appointmentDate: 'Monday, March 11, 2030', appointmentTime: '9:00 AM' },
+            { href: 'javascript:void(0)', appointmentDate: 'Monday, March 11, 2030' },
+            { href: 'https://portal.example/request?slot=2', appointmentDate: 'sometime', appointmentTime: '' }
+        ], { clinicianId: '42', clinicianName: 'Dr. Fixture', portal: 'therapyportal' });
+
+        assert.equal(slots.length, 2);
+        assert.equal(slots[0].clinicianId, '7');
+        assert.equal(slots[0].appointmentType, null);
+        assert.equal(slots[0].appointmentAt.toISOString(), '2030-03-11T13:00:00.000Z');
+        assert.equal(slots[1].clinicianId, '42');
+        assert.equal(slots[1].clinicianName, 'Dr. Fixture');
+        assert.equal(slots[1].appointmentAt, null);
+    });
+
+    it('rejects availability sections without a clinician placeholder', () => {
+        assert.throws(
+            () => validatePortalProfile({ ...profile, availability: { ...profile.availability, url: '{baseUrl}/availability' } }),
+            /availability.url/
+        );
+    });
+});
+
+describe('crawlClinicianPages against portal fixtures', () => {
+    const originalPageDelay = config.crawler.pageDelayMs;
+    let portal;
+    let skipReason;
+
+    before(async () => {
+        config.crawler.pageDelayMs = 0;
+        portal = await startFixtureServer();
+        skipReason = await browserUnavailableReason();
+    });
+
+    after(async () => {
+        config.crawler.pageDelayMs = originalPageDelay;
+        await shutdownBrowserPool();
+        await portal.close();
+    });
+
+    it('follows the next-page links and extracts every slot', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const crawl = await crawlClinicianPages(profile, portal.baseUrl, '42');
+
+        assert.equal(crawl.clinicianName, 'Dr. Fixture');
+        assert.equal(crawl.pages, 2);
+        assert.equal(crawl.complete, true);
+        assert.deepEqual(
+            crawl.slots.map(slot => [slot.appointmentDate, slot.appointmentTime, slot.appointmentType]),
+            [
+                ['Monday, March 11, 2030', '9:00 AM', 'Initial Consultation'],
+                ['Monday, March 11, 2030', '2:00 PM', 'Initial Consultation'],
+                ['Wednesday, March 13, 2030', '10:30 AM', 'Follow-up Session'],
+                ['Monday, March 18, 2030', '9:00 AM', 'Initial Consultation']
+            ]
+        );
+        assert.equal(crawl.slots[0].href, `${portal.baseUrl}/request?clinician=42&slot=20300311-0900`);
+        assert.ok(crawl.slots.every(slot => slot.clinicianId === '42' && slot.portal === 'therapyportal'));
+    });
+
+    it('stops after maxPages and reports the walk as incomplete', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const onePage = { ...profile, availability: { ...profile.availability, maxPages: 1 } };
+        const crawl = await crawlClinicianPages(onePage, portal.baseUrl, '42');
+
+        assert.equal(crawl.pages, 1);
+        assert.equal(crawl.complete, false);
+        assert.equal(crawl.slots.length, 3);
+    });
+
+    it('returns no slots for a clinician without availability', async t => {
+        if (skipReason) return t.skip(skipReason);
+
+        const crawl = await crawlClinicianPages(profile, portal.baseUrl, '7');
+
+        assert.equal(crawl.clinicianName, 'Dr. Booked Solid');
+        assert.deepEqual(crawl.slots, []);
+    });
+});
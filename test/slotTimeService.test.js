@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSlotDate, parseSlotTime, parseAppointmentDateTime } = require('../services/slotTimeService');
+
+describe('parseSlotDate', () => {
+    it('accepts the formats the portal and intake use', () => {
+        assert.deepEqual(parseSlotDate('03/10/2025'), { year: 2025, month: 3, day: 10 });
+        assert.deepEqual(parseSlotDate('2025-03-10'), { year: 2025, month: 3, day: 10 });
+        assert.deepEqual(parseSlotDate('Monday, March 10, 2025'), { year: 2025, month: 3, day: 10 });
+        assert.deepEqual(parseSlotDate('Mar 10th 2025'), { year: 2025, month: 3, day: 10 });
+    });
+
+    it('rejects impossible or unrecognised dates', () => {
+        assert.equal(parseSlotDate('02/31/2025'), null);
+        assert.equal(parseSlotDate('next Tuesday'), null);
+        assert.equal(parseSlotDate(''), null);
+    });
+});
+
+describe('parseSlotTime', () => {
+    it('handles 12 and 24 hour clocks', () => {
+        assert.deepEqual(parseSlotTime('10:00 AM'), { hour: 10, minute: 0 });
+        assert.deepEqual(parseSlotTime('12:15pm'), { hour: 12, minute: 15 });
+        assert.deepEqual(parseSlotTime('12:00 a.m.'), { hour: 0, minute: 0 });
+        assert.deepEqual(parseSlotTime('3pm'), { hour: 15, minute: 0 });
+        assert.deepEqual(parseSlotTime('14:30'), { hour: 14, minute: 30 });
+        assert.deepEqual(parseSlotTime('9:00 AM - 9:50 AM'), { hour: 9, minute: 0 });
+    });
+
+    it('rejects ambiguous or invalid times', () => {
+        assert.equal(parseSlotTime('10'), null);
+        assert.equal(parseSlotTime('13:00 PM'), null);
+        assert.equal(parseSlotTime('morning'), null);
+    });
+});
+
+describe('parseAppointmentDateTime', () => {
+    it('interprets the slot in the practice time zone', () => {
+        const winter = parseAppointmentDateTime('01/15/2025', '10:00 AM', 'America/New_York');
+        assert.equal(winter.toISOString(), '2025-01-15T15:00:00.000Z');
+
+        const summer = parseAppointmentDateTime('07/15/2025', '10:00 AM', 'America/New_York');
+        assert.equal(summer.toISOString(), '2025-07-15T14:00:00.000Z');
+
+        const la = parseAppointmentDateTime('2025-07-15', '10:00', 'America/Los_Angeles');
+        assert.equal(la.toISOString(), '2025-07-15T17:00:00.000Z');
+    });
+
+    it('handles the day clocks change', () => {
+        // US DST began at 2am on March 9, 2025
+        const afterChange = parseAppointmentDateTime('03/09/2025', '3:00 PM', 'America/New_York');
+        assert.equal(afterChange.toISOString(), '2025-03-09T19:00:00.000Z');
+    });
+
+    it('reads a time embedded in the date string', () => {
+        const slot = parseAppointmentDateTime('March 10, 2025 at 10:30 AM', '', 'America/New_York');
+        assert.equal(slot.toISOString(), '2025-03-10T14:30:00.000Z');
+    });
+
+    it('returns null when either part is unusable', () => {
+        assert.equal(parseAppointmentDateTime('03/10/2025', 'sometime', 'America/New_York'), null);
+        assert.equal(parseAppointmentDateTime(undefined, '10:00 AM', 'America/New_York'), null);
+    });
+});